@@ -1,507 +1,103 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-
-/** ---------- Constants & helpers ---------- **/
-const SUITS = ["♠", "♥", "♦", "♣"];
-const SUIT_NAMES = { "♠": "Spades", "♥": "Hearts", "♦": "Diamonds", "♣": "Clubs" };
-const RANKS = ["9", "10", "J", "Q", "K", "A"];
-const rankOrder = { A: 6, K: 5, Q: 4, J: 3, "10": 2, "9": 1 };
-
-const isRedSuit = (s) => s === "♥" || s === "♦";
-const sameColor = (a, b) => isRedSuit(a) === isRedSuit(b);
-
-function makeDeck() {
-  const deck = [];
-  for (const s of SUITS) for (const r of RANKS) deck.push({ s, r });
-  return deck;
-}
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-function cardKey(c) {
-  return `${c.r}${c.s}`;
-}
-
-function isRightBower(c, trump) {
-  return c.r === "J" && c.s === trump;
-}
-function isLeftBower(c, trump) {
-  return c.r === "J" && c.s !== trump && sameColor(c.s, trump);
-}
-function effectiveSuit(c, trump) {
-  if (!trump) return c.s;
-  if (isRightBower(c, trump) || isLeftBower(c, trump)) return trump;
-  return c.s;
-}
-function cardPower(c, trump, leadSuit) {
-  if (trump) {
-    if (isRightBower(c, trump)) return 200;
-    if (isLeftBower(c, trump)) return 190;
-  }
-  const eff = effectiveSuit(c, trump);
-  const isTrump = trump && eff === trump;
-  const followsLead = leadSuit && eff === leadSuit;
-
-  if (leadSuit && !isTrump && !followsLead) return 0;
-
-  const base = rankOrder[c.r] ?? 0;
-  return (isTrump ? 100 : 50) + base;
-}
-function isPartner(a, b) {
-  return a % 2 === b % 2;
-}
-
-function dealHand() {
-  const deck = shuffle(makeDeck());
-  const hands = [[], [], [], []];
-  let idx = 0;
-  for (let i = 0; i < 20; i++) {
-    hands[idx].push(deck.pop());
-    idx = (idx + 1) % 4;
-  }
-  const upcard = deck.pop();
-  return { hands, upcard };
-}
-
-function legalCards(hand, trump, leadSuit) {
-  if (!leadSuit) return hand;
-  const follows = hand.filter((c) => effectiveSuit(c, trump) === leadSuit);
-  return follows.length ? follows : hand;
-}
-
-/** ---------- AI heuristics ---------- **/
-/** ---------- Bid helper utilities (no cheating) ---------- **/
-function relSeatToDealer(seat, dealer) {
-  return (seat - dealer + 4) % 4; // 0=dealer, 1=1st, 2=partner dealer, 3=3rd
-}
-
-function countTrump(hand, trumpSuit, upcard = null, includeUpcard = false) {
-  const cards = includeUpcard && upcard ? [...hand, upcard] : hand;
-  return cards.filter((c) => effectiveSuit(c, trumpSuit) === trumpSuit).length;
-}
-
-function hasRightOrLeftBower(hand, trumpSuit, upcard = null, includeUpcard = false) {
-  const cards = includeUpcard && upcard ? [...hand, upcard] : hand;
-  return cards.some((c) => isRightBower(c, trumpSuit) || isLeftBower(c, trumpSuit));
-}
-
-function offsuitPower(hand, trumpSuit) {
-  // quick-and-dirty: A=2, K=1, else 0 (only if not trump by effective suit)
-  let p = 0;
-  for (const c of hand) {
-    if (effectiveSuit(c, trumpSuit) === trumpSuit) continue;
-    if (c.r === "A") p += 2;
-    else if (c.r === "K") p += 1;
-  }
-  return p;
-}
-
-function isNextSuit(candidateSuit, upcardSuit) {
-  // "Next" = same color, not the upcard suit
-  return candidateSuit !== upcardSuit && sameColor(candidateSuit, upcardSuit);
-}
-
-// Seat-based thresholds tuned to allow "go around" sometimes.
-// You can adjust these later (small changes matter).
-function thresholdRound1(relSeat) {
-  // 0 dealer, 1 first seat, 2 partner dealer, 3 third seat
-  if (relSeat === 0) return 12.6; // dealer can order lighter (pickup/discard)
-  if (relSeat === 2) return 12.8; // partner dealer can help
-  if (relSeat === 1) return 13.1; // first seat moderate
-  return 13.9; // third seat tight
-}
-
-function thresholdRound2(relSeat, nextSuit, mustPick) {
-  if (mustPick) return -Infinity; // must call
-  // Round 2 should be tighter than Round 1 in general, except "Next"
-  let t = nextSuit ? 8.9 : 9.7;
-
-  // third seat should still be tight
-  if (relSeat === 3) t += 0.6;
-
-  // dealer slightly looser (can often manage)
-  if (relSeat === 0) t -= 0.2;
-
-  return t;
-}
-
-// Add human-like variance only near the threshold.
-// If score barely clears, sometimes pass.
-function borderlinePassChance(scoreMinusThresh, relSeat) {
-  // scoreMinusThresh = score - threshold
-  if (scoreMinusThresh >= 1.2) return 0; // clearly strong: never pass
-  if (scoreMinusThresh <= 0) return 1;   // below threshold: always pass
-
-  // between (0, 1.2): pass some % depending on seat
-  // third seat passes more near the line
-  const base = relSeat === 3 ? 0.55 : relSeat === 0 ? 0.25 : 0.35;
-  // closer to threshold => higher pass chance
-  const closeness = 1 - scoreMinusThresh / 1.2; // 1 near threshold, 0 when strong
-  return Math.min(0.85, Math.max(0.05, base * (0.6 + 0.8 * closeness)));
-}
-
-function handStrengthForTrump(hand, trump) {
-  let score = 0;
-
-  // count suits for shape
-  const suitCounts = { "♠": 0, "♥": 0, "♦": 0, "♣": 0 };
-  let trumpCount = 0;
-
-  for (const c of hand) {
-    const eff = effectiveSuit(c, trump);
-    suitCounts[eff] = (suitCounts[eff] ?? 0) + 1;
-
-    if (isRightBower(c, trump)) {
-      score += 9.2;
-      trumpCount += 1;
-      continue;
-    }
-    if (isLeftBower(c, trump)) {
-      score += 7.4;
-      trumpCount += 1;
-      continue;
-    }
-
-    if (eff === trump) {
-      trumpCount += 1;
-      // stronger non-bower trump than before
-      score += 2.4 + (rankOrder[c.r] ?? 0) * 0.40;
-    } else {
-      // smoother offsuit scale
-      const off = c.r === "A" ? 1.3
-               : c.r === "K" ? 0.7
-               : c.r === "Q" ? 0.4
-               : c.r === "J" ? 0.25
-               : c.r === "10" ? 0.15
-               : 0.10;
-      score += off;
-    }
-  }
-
-  // trump length bonus
-  if (trumpCount === 3) score += 0.8;
-  else if (trumpCount === 4) score += 1.8;
-  else if (trumpCount === 5) score += 3.0;
-
-  // short-suit bonus (excluding trump suit count; we used effective suits so trump is lumped already)
-  // Reward having singletons/voids among non-trump suits.
-  for (const s of SUITS) {
-    if (s === trump) continue;
-    const n = suitCounts[s] ?? 0;
-    if (n === 0) score += 0.9;
-    else if (n === 1) score += 0.5;
-  }
-
-  return score;
-}
-
-/** Dealer-only: evaluate ordering up by considering pickup + best discard.
- * We assume the dealer will discard the card that maximizes strength for trump.
- */
-function dealerBestPickupStrength(hand, upcard, trumpSuit) {
-  const six = [...hand, upcard]; // 6 cards before discard
-  let best = -Infinity;
-
-  for (let i = 0; i < six.length; i++) {
-    const five = six.filter((_, idx) => idx !== i); // discard i
-    const sc = handStrengthForTrump(five, trumpSuit);
-    if (sc > best) best = sc;
-  }
-
-  return best;
-}
-
-
-function bestSuitChoice(hand, forbiddenSuit) {
-  let best = null;
-  let bestScore = -Infinity;
-  for (const s of SUITS) {
-    if (s === forbiddenSuit) continue;
-    const sc = handStrengthForTrump(hand, s);
-    if (sc > bestScore) (bestScore = sc), (best = s);
-  }
-  return { suit: best, score: bestScore };
-}
-
-function shouldOrderUp(hand, upSuit, seat, dealer, upcard) {
-  const rel = relSeatToDealer(seat, dealer);
-  const seatIsDealer = rel === 0;
-  const seatIsPartnerDealer = rel === 2;
-
-  // Evaluate strength (dealer considers pickup+discard)
-  const sc = seatIsDealer
-    ? dealerBestPickupStrength(hand, upcard, upSuit)
-    : handStrengthForTrump(hand, upSuit);
-
-  // Basic "sanity gate": stop silly light orders
-  // Allow if: 3+ trump OR bower+2 trump OR decent offsuit support with 2 trump
-  const tc = seatIsDealer
-    ? countTrump(hand, upSuit, upcard, true) // dealer can include upcard for a rough trump count
-    : countTrump(hand, upSuit);
-
-  const hasBower = seatIsDealer
-    ? hasRightOrLeftBower(hand, upSuit, upcard, true)
-    : hasRightOrLeftBower(hand, upSuit);
-
-  const off = offsuitPower(hand, upSuit);
-
-  const passesSanity =
-    tc >= 3 ||
-    (tc >= 2 && hasBower) ||
-    (tc >= 2 && off >= 3) || // e.g., two aces or ace+king
-    (seatIsDealer && tc >= 2); // dealer can justify lighter
-
-  if (!passesSanity) return false;
-
-  // Seat-based threshold (partner-dealer is slightly looser already via table)
-  let thresh = thresholdRound1(rel);
-
-  // Keep your original "partner dealer slightly looser / opponent dealer tighter" spirit:
-  // If partner is dealer, encourage ordering; if opponent is dealer, be a touch tighter.
-  // (This is small—seat thresholds handle most of it.)
-  if (seatIsPartnerDealer) thresh -= 0.15;
-
-  const margin = sc - thresh;
-
-  // Human-ish randomness near the threshold
-  const passProb = borderlinePassChance(margin, rel);
-  if (Math.random() < passProb) return false;
-
-  return margin >= 0;
-}
-
-function shouldCallSuitRound2(hand, forbiddenSuit, mustPick, seat, dealer, upcard) {
-  const rel = relSeatToDealer(seat, dealer);
-
-  const { suit, score } = bestSuitChoice(hand, forbiddenSuit);
-
-  if (!suit) return { call: false, suit: null, score: -Infinity };
-
-  if (mustPick) return { call: true, suit, score };
-
-  const nextSuit = isNextSuit(suit, upcard.s);
-  const thresh = thresholdRound2(rel, nextSuit, mustPick);
-
-  const tc = countTrump(hand, suit);
-  const hasBower = hasRightOrLeftBower(hand, suit);
-  const off = offsuitPower(hand, suit);
-
-  // Sanity gates (prevents nonsense calls):
-  // - third seat: require real power
-  // - non-next: require stronger structure
-  if (rel === 3) {
-    const okThird =
-      tc >= 3 ||
-      (tc >= 2 && hasBower) ||
-      (hasBower && off >= 2); // bower + an ace is acceptable
-    if (!okThird) return { call: false, suit, score };
-  }
-
-  if (!nextSuit) {
-    const okNonNext =
-      tc >= 3 ||
-      (tc >= 2 && hasBower) ||
-      (tc >= 2 && off >= 4); // need more outside help if no bower
-    if (!okNonNext) return { call: false, suit, score };
-  } else {
-    // "Next" can be a little lighter, but still avoid total trash
-    const okNext = tc >= 2 || off >= 4 || hasBower;
-    if (!okNext) return { call: false, suit, score };
-  }
-
-  const margin = score - thresh;
-
-  const passProb = borderlinePassChance(margin, rel);
-  if (Math.random() < passProb) return { call: false, suit, score };
-
-  return { call: margin >= 0, suit, score };
-}
-
-/** Stricter loner heuristic (rare) */
-function shouldGoAlone_STRICT(hand, trump, seatIsDealer, upcard, orderedUpRound1) {
-  // Count trump in the *final* dealer hand if they are picking up.
-  const willPickUp = orderedUpRound1 && seatIsDealer; // dealer picks up only in round 1 order-up
-
-  const effectiveTrumpCount =
-    hand.filter((c) => effectiveSuit(c, trump) === trump).length + (willPickUp ? 1 : 0);
-
-  const hasRBInHand = hand.some((c) => isRightBower(c, trump));
-  const hasRBUpcard = willPickUp && upcard && isRightBower(upcard, trump);
-
-  const hasRightBower = hasRBInHand || hasRBUpcard;
-
-  // Require Right Bower AND 4 trump total, with pickup counting for dealer
-  return hasRightBower && effectiveTrumpCount >= 4;
-}
-
-
-function choosePlayCardAI(hand, trump, trick, seat, inactivePlayer) {
-  const leadSuit = trick.length ? effectiveSuit(trick[0].card, trump) : null;
-  const legal = legalCards(hand, trump, leadSuit);
-
-  if (!leadSuit) {
-    // lead: try to take control only if you have strong trump
-    const trumpCards = legal.filter((c) => effectiveSuit(c, trump) === trump);
-    const hasTopTrump = trumpCards.some((c) => isRightBower(c, trump) || isLeftBower(c, trump) || c.r === "A");
-    if (hasTopTrump && trumpCards.length) {
-      let best = trumpCards[0];
-      let bestP = -1;
-      for (const c of trumpCards) {
-        const p = cardPower(c, trump, trump);
-        if (p > bestP) (bestP = p), (best = c);
-      }
-      return best;
-    }
-
-    const sideAces = legal.filter((c) => c.r === "A" && effectiveSuit(c, trump) !== trump);
-    if (sideAces.length) return sideAces[0];
-
-    // otherwise dump lowest
-    let pick = legal[0];
-    let best = Infinity;
-    for (const c of legal) {
-      const p = cardPower(c, trump, effectiveSuit(c, trump));
-      if (p < best) (best = p), (pick = c);
-    }
-    return pick;
-  }
-// --- RULE: If partner is already winning and you are LAST to act, do NOT waste trump.
-// Dump lowest non-trump if possible; otherwise dump lowest legal.
-if (leadSuit) {
-  const targetCount = inactivePlayer === null ? 4 : 3;
-  const isLastToPlay = trick.length === targetCount - 1;
-
-  if (isLastToPlay) {
-    // determine current winning seat + winning card
-    let bestSeat = trick[0].player;
-    let bestCard = trick[0].card;
-    let bestPow = cardPower(bestCard, trump, leadSuit);
-
-    for (let i = 1; i < trick.length; i++) {
-      const pow = cardPower(trick[i].card, trump, leadSuit);
-      if (pow > bestPow) {
-        bestPow = pow;
-        bestSeat = trick[i].player;
-        bestCard = trick[i].card;
-      }
-    }
-
-    // if partner is winning WITHOUT trump, don't trump it
-    const partnerWinning = isPartner(bestSeat, seat);
-    const partnerWinningIsTrump = effectiveSuit(bestCard, trump) === trump;
-
-    if (partnerWinning && !partnerWinningIsTrump) {
-      const nonTrumpLegal = legal.filter((c) => effectiveSuit(c, trump) !== trump);
-
-      // pick lowest non-trump legal if possible
-      const pool = nonTrumpLegal.length ? nonTrumpLegal : legal;
-
-      let pick = pool[0];
-      let best = Infinity;
-      for (const c of pool) {
-        const p = cardPower(c, trump, leadSuit);
-        // if the pool is non-trump-only, this is just "lowest"; if not, still dumps lowest
-        if (p < best) (best = p), (pick = c);
-      }
-      return pick;
-    }
-  }
-}
-  // follow: win if cheap; else dump
-  const lead = leadSuit;
-  let currentWinningPow = -1;
-  for (let i = 0; i < trick.length; i++) {
-    const pow = cardPower(trick[i].card, trump, lead);
-    if (pow > currentWinningPow) currentWinningPow = pow;
-  }
-
-  const winners = [];
-  for (const c of legal) {
-    const pow = cardPower(c, trump, lead);
-    if (pow > currentWinningPow) winners.push({ c, pow });
-  }
-  if (winners.length) {
-    winners.sort((a, b) => a.pow - b.pow);
-    return winners[0].c;
-  }
-
-  let pick = legal[0];
-  let best = Infinity;
-  for (const c of legal) {
-    const pow = cardPower(c, trump, lead);
-    const eff = effectiveSuit(c, trump);
-    const dumpScore = eff === trump ? pow + 50 : pow;
-    if (dumpScore < best) (best = dumpScore), (pick = c);
-  }
-  return pick;
-}
-
-/** Sort your hand once trump is known:
- * - trump far right (higher further right)
- * - same-color non-trump next right
- * - others grouped; higher to right
- */
-function sortHandForTrump(hand, trump) {
-  if (!trump) return hand;
-
-  const suitIndex = (s) => SUITS.indexOf(s);
-
-  const valueWithinSuit = (c) => {
-    const eff = effectiveSuit(c, trump);
-    return cardPower(c, trump, eff);
-  };
-
-  const sortKey = (c) => {
-    const eff = effectiveSuit(c, trump);
-    const cat = eff === trump ? 3 : sameColor(eff, trump) ? 2 : 1;
-    const suitGroup = suitIndex(eff);
-    const val = valueWithinSuit(c);
-    return cat * 1000 + suitGroup * 100 + val; // bigger ends up on right
-  };
-
-  return [...hand].sort((a, b) => sortKey(a) - sortKey(b));
-}
+import {
+  SUITS,
+  SUIT_NAMES,
+  cardKey,
+  cardLabel,
+  isJoker,
+  sortHandForTrump,
+  trickWinnerIndex,
+  sameCard,
+  createGame,
+  applyAction,
+  inactivePlayers as sittingOut,
+  isCutthroat,
+  partnerOf,
+  teamSeats,
+  leadSuitOf,
+  legalCards,
+  winningTeam as winnerOf,
+  withRules,
+} from "./engine.js";
+import { RULE_CHOICES, rulesSummary, describeRules } from "./rules.js";
+import { BOT_LEVELS, BOT_PERSONALITIES, DEFAULT_BOT, botProfile } from "./bots.js";
+import { strategyAction, playerView, actingSeat } from "./strategy.js";
+import { strategyFor, fallbackStrategy, seatBotLabel, registeredStrategies, isBuiltInLevel } from "./strategies.js";
+import { formatDeal, parseDeal } from "./rng.js";
+import { saveGame, loadGame, clearSave, isResumable } from "./storage.js";
+import { exportGame, parseGameExport, replayFrames } from "./history.js";
+import { coachAdvice, botInsight, COACH_LEVELS } from "./coach.js";
+import { analyzeHand } from "./solver.js";
+import { connectToServer, defaultServerUrl } from "./net.js";
+import { loadStats, saveStats, clearStats, recordHand, recordGame, statTotals, CHART_METRICS } from "./stats.js";
+
+/** Table position of each seat, clockwise from the human at the bottom */
+const SEAT_SPOTS = {
+  4: ["bottom", "left", "top", "right"],
+  3: ["bottom", "left", "right"],
+};
+const SEAT_FIELD_LABELS = {
+  4: ["You (bottom)", "Left", "Partner (top)", "Right"],
+  3: ["You (bottom)", "Left", "Right"],
+};
+
+/** Pacing in ms: how often a bot may move, the pause after each bid, how long a
+ * finished trick stays up, how long seat badges show, and the wait before
+ * autopilot deals on */
+const SPEEDS = {
+  slow: { label: "Slow", tick: 700, bidPause: 4500, trickPause: 2200, badge: 4000, nextHand: 2500 },
+  normal: { label: "Normal", tick: 340, bidPause: 3000, trickPause: 1100, badge: 2500, nextHand: 1500 },
+  fast: { label: "Fast", tick: 150, bidPause: 1000, trickPause: 500, badge: 1200, nextHand: 600 },
+  instant: { label: "Instant", tick: 20, bidPause: 0, trickPause: 0, badge: 800, nextHand: 100 },
+};
+
+/** Open-hands training: every hand face up, optionally with what each bot is weighing */
+const TRAINING_MODES = {
+  off: "Off",
+  open: "Show every hand",
+  explain: "Show every hand and what each bot is weighing",
+};
 
 /** ---------- UI components ---------- **/
-function Card({ c, onClick, disabled, faceDown, small, highlight, dim, compact }) {
+function Card({ c, onClick, disabled, faceDown, small, highlight, dim, compact, suggested }) {
   if (faceDown) return <div className={`card facedown ${small ? "small" : ""}`} />;
 
   const isRed = c.s === "♥" || c.s === "♦";
+  const joker = isJoker(c);
+  const rank = joker ? "★" : c.r;
   return (
     <button
       className={[
         "card",
         isRed ? "red" : "black",
+        joker ? "joker" : "",
         disabled ? "disabled" : "",
         small ? "small" : "",
         compact ? "compact" : "",
         highlight ? "highlight" : "",
         dim ? "dim" : "",
+        suggested ? "suggested" : "",
       ].join(" ")}
       disabled={disabled}
       onClick={onClick}
       type="button"
-      title={`${c.r} of ${SUIT_NAMES[c.s]}`}
+      title={joker ? "Joker" : `${c.r} of ${SUIT_NAMES[c.s]}`}
     >
       {compact ? (
   <div className="miniFace">
-    <div className="miniRank">{c.r}</div>
+    <div className="miniRank">{joker ? "JK" : c.r}</div>
     <div className="miniSuit">{c.s}</div>
   </div>
 ) : (
         <>
           <div className="corner tl">
-            <div className="rank">{c.r}</div>
+            <div className="rank">{rank}</div>
           </div>
 
-          <div className="pip">{c.s}</div>
+          <div className="pip">{joker ? "JOKER" : c.s}</div>
 
           <div className="corner br">
-            <div className="rank">{c.r}</div>
+            <div className="rank">{rank}</div>
           </div>
         </>
       )}
@@ -533,40 +129,325 @@ function Stars({ filled, className = "" }) {
   );
 }
 
-/** ---------- Main App ---------- **/
-export default function App() {
-  const teamOf = (p) => p % 2;
+/** ---------- Hand history ---------- **/
+const cards = (list) => list.map(cardLabel).join(" ");
 
-  const [names, setNames] = useState({ p0: "Nick", p1: "Jim", p2: "Maddie", p3: "Jenn" });
-  const [showSettings, setShowSettings] = useState(false);
+function bidText(b, nameOf) {
+  if (b.bid === "pass") return `${nameOf(b.player)} passes`;
+  if (b.bid === "defendAlone") return `${nameOf(b.player)} defends alone`;
+  const verb = b.bid === "orderUp" ? "orders up" : "calls";
+  return `${nameOf(b.player)} ${verb} ${b.suit}${b.alone ? " alone" : ""}`;
+}
+
+function handSummary(h, nameOf) {
+  const head = `Hand ${h.number} · ${nameOf(h.dealer)} dealt`;
+  if (h.thrownIn) return `${head} · thrown in`;
+  const { euchred, points, makerTricks } = h.result;
+  const outcome = euchred ? `euchred (${makerTricks} tricks)` : `made ${makerTricks}`;
+  return `${head} · ${h.trump} by ${nameOf(h.maker)}${h.alone ? " alone" : ""} · ${outcome}, ${points} pt · ${h.score.join("–")}`;
+}
+
+/** What just happened at a replay frame */
+function frameCaption(f, nameOf) {
+  switch (f.kind) {
+    case "deal":
+      return `${nameOf(f.dealer)} deals. Upcard is ${cardLabel(f.upcard)}.`;
+    case "bid":
+      return `${bidText(f.bid, nameOf)}.`;
+    case "discard":
+      return `${nameOf(f.discard.player)} picks up and discards ${cardLabel(f.discard.card)}.`;
+    case "play":
+      return `${nameOf(f.play.player)} plays ${cardLabel(f.play.card)}.`;
+    case "trick":
+      return `${nameOf(f.winner)} takes trick ${f.trickNo}.`;
+    default:
+      if (!f.result) return "Everyone passed: the hand is thrown in.";
+      return f.result.euchred
+        ? `Euchred! Defenders score ${f.result.points}.`
+        : `Makers take ${f.result.makerTricks} tricks for ${f.result.points}.`;
+  }
+}
+
+function HandHistoryList({ hands, nameOf, onReplay, onAnalyze }) {
+  if (!hands.length) return <div className="muted">No hands played yet.</div>;
+  return (
+    <div className="histList">
+      {hands.map((h) => (
+        <details key={h.number} className="histHand">
+          <summary>{handSummary(h, nameOf)}</summary>
+          <div className="histBody">
+            {h.hands && (
+              <div className="row">
+                <button className="tinyBtn" onClick={() => onReplay(h)} type="button">
+                  ▶ Replay this hand
+                </button>
+                {h.result && (
+                  <button className="tinyBtn" onClick={() => onAnalyze(h)} type="button">
+                    🔍 Perfect play
+                  </button>
+                )}
+              </div>
+            )}
+            <div className="muted">Seed {formatDeal(h.seed, h.dealer)}</div>
+            {h.hands?.map((hand, p) => (
+              <div key={p}>
+                <b>{nameOf(p)}</b>: {cards(hand)}
+              </div>
+            ))}
+            <div>
+              Upcard <b>{cardLabel(h.upcard)}</b>
+              {h.kitty && <> · kitty {cards(h.kitty)}</>}
+            </div>
+            <div>Bids: {h.bids.map((b) => bidText(b, nameOf)).join(", ") || "—"}</div>
+            {h.discard && (
+              <div>
+                {nameOf(h.discard.player)} discarded {cardLabel(h.discard.card)}
+              </div>
+            )}
+            {h.tricks.length > 0 && (
+              <ol className="histTricks">
+                {h.tricks.map((t, i) => (
+                  <li key={i}>
+                    {nameOf(t.leader)} led: {cards(t.cards.map((x) => x.card))} → <b>{nameOf(t.winner)}</b>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+/** ---------- Stats screen ---------- **/
+const SEAT_COLORS = ["#5dd6ff", "#ffd54a", "#ff7aa8", "#8ef08a"];
+const pct = (n, d) => (d ? `${Math.round((100 * n) / d)}%` : "—");
+
+function StatsTable({ totals, seats, nameOf }) {
+  const rows = [
+    ["Hands played", (s) => s.hands],
+    ["Called (round 1 / 2)", (s) => `${s.calls1} / ${s.calls2}`],
+    ["Made", (s) => pct(s.made, s.made + s.euchred)],
+    ["Euchred", (s) => s.euchred],
+    ["Loners (made / tried)", (s) => `${s.lonersMade} / ${s.loners}`],
+    ["Marches", (s) => s.marches],
+    ["Tricks won", (s) => s.tricks],
+    ["Games won", (s) => `${s.wins} / ${s.games}`],
+  ];
+  return (
+    <table className="statsTable">
+      <thead>
+        <tr>
+          <th />
+          {seats.map((p) => (
+            <th key={p} style={{ color: SEAT_COLORS[p] }}>
+              {nameOf(p)}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([label, cell]) => (
+          <tr key={label}>
+            <td>{label}</td>
+            {seats.map((p) => (
+              <td key={p}>{cell(totals[p])}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/** One line per seat over the days played (the last 30) */
+function StatsChart({ days, seats, metric }) {
+  const shown = days.slice(-30);
+  const { value } = CHART_METRICS[metric];
+  const series = seats.map((p) => shown.map((d) => (d.seats[p] ? value(d.seats[p]) : null)));
+  const top = Math.max(1, ...series.flat().filter((v) => v !== null));
+  const W = 300;
+  const H = 120;
+  const x = (i) => (shown.length === 1 ? W / 2 : (i * W) / (shown.length - 1));
+  const y = (v) => H - (v / top) * H;
 
-  const [phase, setPhase] = useState("idle");
-  // idle, bid1, dealer_discard, bid2, playing, hand_over
+  return (
+    <svg className="statsChart" viewBox={`-6 -6 ${W + 12} ${H + 24}`}>
+      <line x1={0} y1={H} x2={W} y2={H} className="axis" />
+      {series.map((vals, k) => {
+        const pts = vals.map((v, i) => (v === null ? null : `${x(i)},${y(v)}`)).filter(Boolean);
+        return (
+          <g key={seats[k]} stroke={SEAT_COLORS[seats[k]]} fill={SEAT_COLORS[seats[k]]}>
+            <polyline points={pts.join(" ")} fill="none" strokeWidth={2} />
+            {pts.map((pt) => {
+              const [cx, cy] = pt.split(",");
+              return <circle key={pt} cx={cx} cy={cy} r={3} />;
+            })}
+          </g>
+        );
+      })}
+      <text x={0} y={H + 16} className="axisText">
+        {shown[0]?.day}
+      </text>
+      <text x={W} y={H + 16} className="axisText" textAnchor="end">
+        {shown.length > 1 ? shown.at(-1).day : ""}
+      </text>
+      <text x={0} y={8} className="axisText">
+        {Math.round(top * 10) / 10}
+      </text>
+    </svg>
+  );
+}
 
-  const [{ hands, upcard }, setDeal] = useState(() => ({ hands: [[], [], [], []], upcard: null }));
-  const [dealer, setDealer] = useState(0);
-  const [turn, setTurn] = useState(0);
+function StatsPanel({ stats, metric, onMetric, nameOf }) {
+  const totals = statTotals(stats);
+  const seats = [0, 1, 2, 3].filter((p) => totals[p].hands);
+  return (
+    <>
+      <div className="muted">Since {stats.days[0].day} · by seat, whoever sat there</div>
+      <StatsTable totals={totals} seats={seats} nameOf={nameOf} />
+      <div className="field">
+        <label>Chart</label>
+        <select value={metric} onChange={(e) => onMetric(e.target.value)}>
+          {Object.entries(CHART_METRICS).map(([k, m]) => (
+            <option key={k} value={k}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <StatsChart days={stats.days} seats={seats} metric={metric} />
+    </>
+  );
+}
 
-  const [trump, setTrump] = useState(null);
-  const [maker, setMaker] = useState(null);
-  const [makerTeam, setMakerTeam] = useState(null);
-  const [alonePlayer, setAlonePlayer] = useState(null);
-  const inactivePlayer = useMemo(() => (alonePlayer === null ? null : (alonePlayer + 2) % 4), [alonePlayer]);
+/** The lines under a bot's bid in the log: its explainBid answer (bots.js) in words */
+function bidReasons({ bid, alone }) {
+  const r = (n) => Math.round(n * 10) / 10;
+  const signed = (n) => `${n >= 0 ? "+" : ""}${r(n)}`;
+  const lines = [];
+  if (bid.threshold === null) lines.push(`Had to name trump: ${bid.suit} was its strongest suit at ${r(bid.score)}.`);
+  else lines.push(`${bid.suit} rated ${r(bid.score)} against the ${r(bid.threshold)} it needed (${signed(bid.margin)}).`);
+  if (!bid.sanity) lines.push("Too few trump to call, whatever the rating.");
+  if (bid.noise) lines.push(`It misread its hand by ${signed(bid.noise)}.`);
+  if (!bid.flipped) lines.push("Randomness didn't change the bid.");
+  else if (bid.call) lines.push("The misread tipped it into calling.");
+  else if (bid.margin >= 0) lines.push("Close to the line: a random second guess made it pass.");
+  else lines.push("The misread talked it out of calling.");
+  if (alone?.call) lines.push(`Went alone: ${alone.score} trump, the right bower or Joker among them.`);
+  else if (alone) {
+    const held = `${alone.score} trump${alone.sanity ? "" : " and no right bower or Joker"}`;
+    lines.push(`Kept its partner: ${held}, where going alone needs ${alone.threshold} with the right bower or Joker.`);
+  }
+  return lines;
+}
 
-  const [trick, setTrick] = useState([]); // {player, card}
-  const [tricksWonTeam, setTricksWonTeam] = useState([0, 0]);
-  const [tricksWonPlayer, setTricksWonPlayer] = useState([0, 0, 0, 0]); // per-player stars
-  const [tricksCompleted, setTricksCompleted] = useState(0);
+/** Hand strength per suit against the line it has to clear (coach.js) */
+function StrengthChips({ strengths }) {
+  return (
+    <div className="coachSuits">
+      {strengths.map((x) => (
+        <span key={x.suit} className={`coachSuit ${x.need !== null && x.score >= x.need ? "strong" : ""}`}>
+          {x.suit} {x.score}
+          {x.need !== null && <span className="muted"> / {x.need}</span>}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/** The hand against double-dummy play (solver.js), for the human seat */
+function HandAnalysis({ record, result, nameOf, seats }) {
+  const who = seats.map(nameOf).join(" & ");
+  const makers = result.makers.map(nameOf).join(" & ");
+  return (
+    <div className="histBody">
+      <div>
+        Trump {record.trump} · made by <b>{makers}</b>
+      </div>
+      <div className="analysisRow">
+        <span>With every card face up, best play gives the makers</span>
+        <b>{result.best}</b>
+      </div>
+      <div className="analysisRow">
+        <span>They actually took</span>
+        <b>
+          {result.actual}
+          {record.result.euchred && " (euchred)"}
+        </b>
+      </div>
+      {!result.played ? (
+        <div className="muted">{who} sat this hand out.</div>
+      ) : result.costly.length ? (
+        <ol className="histTricks">
+          {result.costly.map((x, i) => (
+            <li key={i}>
+              Trick {x.trickNo}: {seats.length > 1 && `${nameOf(x.player)}'s `}
+              {cardLabel(x.card)} cost {x.cost} trick{x.cost > 1 ? "s" : ""} (makers {x.couldHave} → {x.after}).
+              Better: {cards(x.better)}
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div className="muted">Every card {who} played was as good as perfect play.</div>
+      )}
+    </div>
+  );
+}
+
+/** ---------- Main App ---------- **/
+export default function App() {
+  const [names, setNames] = useState({ p0: "Nick", p1: "Jim", p2: "Maddie", p3: "Jenn" });
+  const [showSettings, setShowSettings] = useState(false);
+  // Hand history modal: this game's hands, or a game imported from a file
+  const [showHistory, setShowHistory] = useState(false);
+  const [importedGame, setImportedGame] = useState(null);
+  const [historyError, setHistoryError] = useState("");
+  // Replay of a finished hand: { record, frames, at, playing, faceUp, names, numSeats }
+  const [replay, setReplay] = useState(null);
+  // Totals across sessions (stats.js)
+  const [stats, setStats] = useState(loadStats);
+  const [showStats, setShowStats] = useState(false);
+  const [chartMetric, setChartMetric] = useState("makePct");
+  const [confirmReset, setConfirmReset] = useState(false);
+  // Perfect-play analysis of a finished hand: { record, result, names }
+  const [analysis, setAnalysis] = useState(null);
+  const [seedInput, setSeedInput] = useState("");
+
+  // The whole game lives in the engine state; App only renders it and paces the bots.
+  const [game, setGame] = useState(() => createGame());
+  const gameRef = useRef(game);
+
+  // A saved, unfinished game from an earlier visit waits here until the player answers "Resume game?"
+  const [resumeOffer, setResumeOffer] = useState(() => {
+    const saved = loadGame();
+    return isResumable(saved) ? saved : null;
+  });
 
-  const [score, setScore] = useState([0, 0]);
+  const { phase, hands, upcard, dealer, turn, trump, maker, alonePlayer, defenderAlone, forcedDealerPick, trick } = game;
+  const { tricksWonPlayer, score } = game;
+  const inactive = sittingOut(game);
+  const pendingDealerPickup = phase === "dealer_discard";
 
-  const [bidLog, setBidLog] = useState([]);
   const [logOpen, setLogOpen] = useState(true);
+  const logRef = useRef(null);
+  // "Last trick": the previous trick back on the table (bots wait) until dismissed
+  const [reviewTrick, setReviewTrick] = useState(false);
 
-  const [seatBadge, setSeatBadge] = useState(["", "", "", ""]);
+  const [seatBadge, setSeatBadge] = useState(() => Array(game.numSeats).fill(""));
   const [cooldownUntil, setCooldownUntil] = useState(0);
 
-function flashBadge(seat, text, ms = 2500) {
+  // Pacing: speed, holding each finished trick until tapped, and a pause that holds the bots
+  const [speed, setSpeed] = useState("normal");
+  const pace = SPEEDS[speed];
+  const [tapToContinue, setTapToContinue] = useState(false);
+  // read through a ref: the bot interval and the server's message handler hold an older showEvents
+  const tapRef = useRef(tapToContinue);
+  tapRef.current = tapToContinue;
+  const [paused, setPaused] = useState(false);
+
+function flashBadge(seat, text, ms = pace.badge) {
   setSeatBadge((prev) => {
     const next = [...prev];
     next[seat] = text;
@@ -581,459 +462,603 @@ function flashBadge(seat, text, ms = 2500) {
   }, ms);
 }
 
-function setCooldown(ms = 3000) {
+function setCooldown(ms = pace.bidPause) {
   setCooldownUntil(Date.now() + ms);
 }
 
-  const [pendingDealerPickup, setPendingDealerPickup] = useState(false);
-  const [forcedDealerPick, setForcedDealerPick] = useState(false);
-
-  // trick pacing / highlight
-  const [trickWinnerPreview, setTrickWinnerPreview] = useState(null);
+  // trick pacing: a finished trick stays on the table briefly before it is cleared
   const [pauseTrick, setPauseTrick] = useState(false);
+  const pauseTimer = useRef(null);
+
+  // Undo: engine states captured just before each of the human's decisions this hand
+  const [allowUndo, setAllowUndo] = useState(true);
+  const [coach, setCoach] = useState("off");
+  const [training, setTraining] = useState("off");
+  // "why?" rows under the bots' bids: explainBid answers, keyed by the log event they explain
+  const [showWhy, setShowWhy] = useState(false);
+  const bidWhy = useRef(new WeakMap());
+  // { game, player } from before each human move; only the player who made it may take it back
+  const [undoStack, setUndoStack] = useState([]);
+
+  // Level and personality for each bot seat (index 0 is you and is ignored)
+  const [seatBots, setSeatBots] = useState(() => Array.from({ length: 4 }, () => ({ ...DEFAULT_BOT })));
+
+  // Online play (net.js): { url, status, lobby, table, error }. At a table, `game` is the
+  // server's view of it and the local game waits in localGame until you leave.
+  const [online, setOnline] = useState(null);
+  const [showOnline, setShowOnline] = useState(false);
+  const [serverUrl, setServerUrl] = useState(defaultServerUrl);
+  const netRef = useRef(null);
+  const localGame = useRef(null);
+  const netTable = online?.table ?? null;
+
+  // Pass and play: seats marked human share this device. `revealed` is the human whose
+  // cards are face up; another human's turn puts up the privacy screen until they tap.
+  // Online, the humans are whoever sits at the table and you only ever see your own seat.
+  const isHuman = (seat) => (netTable ? !!netTable.seats[seat]?.human : seat === 0 || !!seatBots[seat]?.human);
+  const humanSeats = Array.from({ length: game.numSeats }, (_, i) => i).filter(isHuman);
+  const [revealed, setRevealed] = useState(0);
+  const viewer = netTable ? netTable.seat : humanSeats.includes(revealed) ? revealed : 0;
+  // a new deal covers the last revealed hand until the next human to act is handed the device
+  const [covered, setCovered] = useState(false);
+  const passAndPlay = !netTable && humanSeats.length > 1;
+  // Autopilot: a bot plays your seat, "game" until you take over or "hand" to the end of this hand
+  const [autopilot, setAutopilot] = useState(null);
+  const onAutopilot = (seat) => seat === 0 && autopilot !== null && !netTable;
+  const actor = actingSeat(game);
+  const handOff =
+    passAndPlay &&
+    actor !== null &&
+    isHuman(actor) &&
+    !onAutopilot(actor) &&
+    (actor !== viewer || covered) &&
+    !replay &&
+    !pauseTrick;
+  const handCovered = passAndPlay && covered;
+  const canUndo = undoStack.at(-1)?.player === viewer && !handOff;
 
   const botTimer = useRef(null);
 
-  const playerName = (i) => (i === 0 ? names.p0 : i === 1 ? names.p1 : i === 2 ? names.p2 : names.p3);
-  const gameOver = score[0] >= 10 || score[1] >= 10;
-  const winningTeam = () => (score[0] >= 10 ? 0 : score[1] >= 10 ? 1 : null);
+  const playerName = (i) =>
+    netTable ? netTable.seats[i]?.name ?? "—" : i === 0 ? names.p0 : i === 1 ? names.p1 : i === 2 ? names.p2 : names.p3;
+  const winner = winnerOf(game);
+  const gameOver = winner !== null;
+  const winningTeam = () => winner;
+  const cutthroat = isCutthroat(game);
+
+  /** "Nick & Maddie" for a partnership, just the player in cutthroat */
+  const teamLabel = (team, g = game) => teamSeats(g, team).map(playerName).join(" & ");
+
+  const leadSuit = leadSuitOf(game);
 
-  const leadSuit = useMemo(() => {
-    if (!trick.length || !trump) return null;
-    return effectiveSuit(trick[0].card, trump);
-  }, [trick, trump]);
+  /** Run one action through the engine and react to the events it produced */
+  function dispatch(action) {
+    // at an online table the server runs the engine and sends the result back
+    if (netTable) return netRef.current?.send({ type: "act", action });
+
+    const prev = gameRef.current;
+    const { state, events } = applyAction(prev, action);
+    if (!events.length) return;
+    gameRef.current = state;
+    setGame(state);
+
+    if (allowUndo && isHuman(action.player) && !onAutopilot(action.player)) {
+      // pass and play: another human's move starts the stack over, so nobody takes back someone else's
+      setUndoStack((st) => [...(st.at(-1)?.player === action.player ? st : []), { game: prev, player: action.player }]);
+    }
+    showEvents(events, state);
+    return events;
+  }
 
-  function logBid(msg) {
-    setBidLog((l) => [...l, msg]);
+  /** Badges, pauses and the log for what an action did (locally or at an online table) */
+  function showEvents(events, state) {
+    for (const e of events) {
+      if (e.type === "deal") {
+        setLogOpen(true);
+        setUndoStack([]);
+        setCovered(true);
+      }
+      if (e.type === "deal" || e.type === "trick") setReviewTrick(false);
+      if (e.type === "handOver" || (e.type === "deal" && e.allPassed)) setAutopilot((a) => (a === "hand" ? null : a));
+      if (e.type === "pass" && !e.defend) {
+        flashBadge(e.player, "PASS");
+        setCooldown();
+      }
+      if (e.type === "defendAlone") {
+        flashBadge(e.player, "DEFEND ALONE");
+        setCooldown();
+      }
+      if (e.type === "orderUp" || e.type === "callSuit") {
+        flashBadge(e.player, e.alone ? "ALONE" : e.type === "orderUp" ? "ORDER" : `CALL ${e.suit}`);
+        setCooldown();
+      }
+      if (e.type === "trick") {
+        clearTimeout(pauseTimer.current);
+        // on autopilot nobody may be there to tap
+        if (tapRef.current && !autopilot) setPauseTrick(true);
+        else if (pace.trickPause) {
+          setPauseTrick(true);
+          pauseTimer.current = setTimeout(() => setPauseTrick(false), pace.trickPause);
+        }
+      }
+    }
   }
 
-  function resetEverything() {
-    setScore([0, 0]);
-    setDealer(0);
-    setPhase("idle");
-    setDeal({ hands: [[], [], [], []], upcard: null });
-    setTrump(null);
-    setMaker(null);
-    setMakerTeam(null);
-    setAlonePlayer(null);
-    setBidLog([]);
-    setTrick([]);
-    setTricksWonTeam([0, 0]);
-    setTricksWonPlayer([0, 0, 0, 0]);
-    setPendingDealerPickup(false);
-    setForcedDealerPick(false);
+  function resetEverything(rules = gameRef.current.rules) {
+    if (netTable) return netRef.current?.send({ type: "newGame" });
+    const fresh = createGame({ rules, training: training !== "off" });
+    gameRef.current = fresh;
+    setGame(fresh);
     setLogOpen(true);
-    setTurn(0);
-    setTrickWinnerPreview(null);
     setPauseTrick(false);
+    setReviewTrick(false);
+    setAutopilot(null);
+    setUndoStack([]);
+    setSeatBadge(Array(fresh.numSeats).fill(""));
   }
 
-  function startNewHand(newDealer = dealer) {
-    const dealt = dealHand();
-    setDeal(dealt);
-
-    setTrump(null);
-    setMaker(null);
-    setMakerTeam(null);
-    setAlonePlayer(null);
-
-    setBidLog([]);
-    setTrick([]);
-    setTricksWonTeam([0, 0]);
-    setTricksWonPlayer([0, 0, 0, 0]);
-    setTricksCompleted(0);
+  /** The seat count is fixed for a game, so changing it starts over */
+  function changePlayerCount(players) {
+    resetEverything({ ...gameRef.current.rules, players });
+  }
 
-    setPendingDealerPickup(false);
-    setForcedDealerPick(false);
+  /** Rewind to just before the human's last decision; bots then play on from there */
+  function undo() {
+    if (!canUndo) return;
+    const prev = undoStack[undoStack.length - 1].game;
+    setUndoStack((st) => st.slice(0, -1));
 
-    setTrickWinnerPreview(null);
+    clearTimeout(pauseTimer.current);
     setPauseTrick(false);
+    setReviewTrick(false);
+    setCooldownUntil(0);
+    setSeatBadge(Array(prev.numSeats).fill(""));
+
+    // a game that was ever played open stays a training game
+    const restored = { ...withRules(prev, gameRef.current.rules), training: gameRef.current.training };
+    gameRef.current = restored;
+    setGame(restored);
+  }
 
-    const first = (newDealer + 1) % 4;
-    setTurn(first);
-    setPhase("bid1");
-    setLogOpen(true);
-    logBid(`— New hand. Upcard is ${dealt.upcard.r}${dealt.upcard.s}. —`);
+  function updateRules(patch) {
+    if (netTable) return; // the table's rules were set when it was opened
+    const next = withRules(gameRef.current, { ...gameRef.current.rules, ...patch });
+    gameRef.current = next;
+    setGame(next);
   }
 
-  function nextDealerAndHand() {
-    const nd = (dealer + 1) % 4;
-    setDealer(nd);
-    setTimeout(() => startNewHand(nd), 150);
+  function updateSeatBot(seat, patch) {
+    setSeatBots((prev) => prev.map((b, i) => (i === seat ? { ...b, ...patch } : b)));
   }
 
-  /** Turn rotation that skips inactive seat in loner */
-  function nextTurnIndex(cur) {
-    let n = (cur + 1) % 4;
-    if (inactivePlayer !== null && n === inactivePlayer) n = (n + 1) % 4;
-    return n;
+  /** Turning training on flags the game in progress too: its hands have been seen */
+  function changeTraining(mode) {
+    setTraining(mode);
+    if (mode === "off" || gameRef.current.training) return;
+    const flagged = { ...gameRef.current, training: true };
+    gameRef.current = flagged;
+    setGame(flagged);
   }
-  function normalizeTurnMaybe(t) {
-    if (inactivePlayer !== null && t === inactivePlayer) return nextTurnIndex(t);
-    return t;
+
+  function toggleTapToContinue(on) {
+    setTapToContinue(on);
+    if (!on) setPauseTrick(false); // don't leave a trick waiting for a tap that's no longer asked for
   }
-  useEffect(() => {
-    setTurn((t) => normalizeTurnMaybe(t));
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [inactivePlayer]);
 
-  /** Current winning player for highlight + dimming */
-  const currentWinningPlayer = useMemo(() => {
-    if (!trick.length || !trump) return null;
-    const lead = effectiveSuit(trick[0].card, trump);
-    let bestP = trick[0].player;
-    let bestPow = -1;
-    for (const t of trick) {
-      const pow = cardPower(t.card, trump, lead);
-      if (pow > bestPow) (bestPow = pow), (bestP = t.player);
-    }
-    return bestP;
-  }, [trick, trump]);
+  function toggleUndo(on) {
+    setAllowUndo(on);
+    if (!on) setUndoStack([]);
+  }
 
-  function dealerPickupAndDiscard(discardCard) {
-    const d = dealer;
-    const newHands = hands.map((h) => [...h]);
+  function resumeSavedGame() {
+    const saved = resumeOffer;
+    gameRef.current = saved;
+    setGame(saved);
+    setPauseTrick(false);
+    setResumeOffer(null);
+    setSeatBadge(Array(saved.numSeats).fill(""));
+  }
 
-    newHands[d].push(upcard);
-    const idx = newHands[d].findIndex((c) => c.r === discardCard.r && c.s === discardCard.s);
-    if (idx >= 0) newHands[d].splice(idx, 1);
+  function declineSavedGame() {
+    clearSave();
+    setResumeOffer(null);
+  }
 
-    setDeal({ hands: newHands, upcard });
-    setPendingDealerPickup(false);
+  useEffect(() => {
+    if (resumeOffer || netTable) return; // don't overwrite the save before the player decides, or with an online game
+    saveGame(game);
+  }, [game, resumeOffer]);
 
-    const firstLead = normalizeTurnMaybe((dealer + 1) % 4);
-    setTurn(firstLead);
-    setPhase("playing");
-    setLogOpen(false);
-    logBid(`${playerName(d)} picked up and discarded.`);
+  // keep the newest log line in view
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  }, [game.log.length, replay?.at, logOpen]);
 
-    setDeal((prev) => {
-      const nh = prev.hands.map((h, i) => (i === 0 ? sortHandForTrump(h, trump) : h));
-      return { ...prev, hands: nh };
-    });
+  // count each hand as it finishes, and the game when it is won (training games don't count)
+  useEffect(() => {
+    if (game.training) return;
+    const next = recordGame(recordHand(stats, game), game);
+    if (next === stats) return;
+    setStats(next);
+    saveStats(next);
+  }, [game]);
+
+  function resetStats() {
+    if (!confirmReset) return setConfirmReset(true);
+    setStats(clearStats());
+    setConfirmReset(false);
   }
 
- function finishTrickAndAdvance(winner, newHands, newTWTeam, newTWPlayer) {
-  setPauseTrick(true);
-  setTrickWinnerPreview(winner);
+  function openHistory() {
+    setImportedGame(null);
+    setHistoryError("");
+    setShowHistory(true);
+  }
 
-  setTimeout(() => {
-    setTricksCompleted((prev) => {
-      const completedNow = prev + 1;
-
-      setPauseTrick(false);
-      setTrickWinnerPreview(null);
-
-      setTrick([]);
-      setTurn(normalizeTurnMaybe(winner));
-      setTricksWonTeam(newTWTeam);
-      setTricksWonPlayer(newTWPlayer);
-
-      if (completedNow === 5) {
-        const newScore = [...score];
-        const makerTricks = newTWTeam[makerTeam];
-        const defTeam = makerTeam === 0 ? 1 : 0;
-
-        if (alonePlayer !== null) {
-          if (makerTricks === 5) newScore[makerTeam] += 4;
-          else if (makerTricks >= 3) newScore[makerTeam] += 1;
-          else newScore[defTeam] += 2;
-        } else {
-          if (makerTricks === 5) newScore[makerTeam] += 2;
-          else if (makerTricks >= 3) newScore[makerTeam] += 1;
-          else newScore[defTeam] += 2;
-        }
+  function exportHistory() {
+    const data = exportGame(game, Array.from({ length: game.numSeats }, (_, i) => playerName(i)));
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `euchre-${data.exportedAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
 
-        setScore(newScore);
-        setPhase("hand_over");
-      }
+  async function importHistory(file) {
+    if (!file) return;
+    try {
+      setImportedGame(parseGameExport(await file.text()));
+      setHistoryError("");
+    } catch (err) {
+      setHistoryError(err.message);
+    }
+  }
 
-      return completedNow;
-    });
-  }, 850);
-}
+  function startNewHand() {
+    dispatch({ type: "deal" });
+  }
 
-  function resolveTrickIfComplete(newTrick, newHands) {
-    const targetCount = inactivePlayer === null ? 4 : 3;
-    if (newTrick.length < targetCount) return;
+  function nextDealerAndHand() {
+    setTimeout(() => dispatch({ type: "deal" }), 150);
+  }
 
-    const lead = effectiveSuit(newTrick[0].card, trump);
-    let bestIdx = 0;
-    let bestPow = -1;
-    for (let i = 0; i < newTrick.length; i++) {
-      const pow = cardPower(newTrick[i].card, trump, lead);
-      if (pow > bestPow) (bestPow = pow), (bestIdx = i);
-    }
-    const winner = newTrick[bestIdx].player;
+  /** Throw in whatever is on the table and deal the hand for a typed-in seed (and dealer, if given) */
+  function dealBySeed() {
+    const hand = parseDeal(seedInput);
+    if (hand === null || netTable) return;
+    setPauseTrick(false);
+    dispatch({ type: "deal", seed: hand.seed, dealer: hand.dealer, redeal: true });
+    setShowSettings(false);
+  }
 
-    const newTWTeam = [...tricksWonTeam];
-    newTWTeam[teamOf(winner)] += 1;
+  function logLine(e, trickNo) {
+    switch (e.type) {
+      case "deal":
+        if (e.allPassed) return `— Everyone passed. ${playerName(e.dealer)} redeals. Upcard is ${cardLabel(e.upcard)}. —`;
+        return `— New hand. Upcard is ${cardLabel(e.upcard)}. —`;
+      case "jokerUp":
+        return `— The Joker is turned up: ${playerName(e.dealer)} names trump and picks it up. —`;
+      case "pass":
+        return e.defend ? null : `${playerName(e.player)} passes.`;
+      case "defendAlone":
+        return `${playerName(e.player)} defends alone.`;
+      case "round2":
+        return `— Round 2: choose a suit (not ${e.forbiddenSuit}) or pass. —`;
+      case "screwTheDealer":
+        return `— Screw the Dealer: ${playerName(e.dealer)} must choose trump. —`;
+      case "orderUp":
+        return `${playerName(e.player)} orders up ${e.suit}${e.alone ? " (ALONE)" : ""}. Trump is ${e.suit}.`;
+      case "callSuit":
+        return `${playerName(e.player)} calls ${e.suit}${e.alone ? " (ALONE)" : ""}. Trump is ${e.suit}.`;
+      case "dealerSitsOut":
+        return `Dealer (${playerName(e.dealer)}) sits out — skipping pickup/discard.`;
+      case "discard":
+        return `${playerName(e.player)} picked up and discarded.`;
+      case "play":
+        return `${playerName(e.player)} plays ${cardLabel(e.card)}.`;
+      case "trick":
+        return `${playerName(e.winner)} takes trick ${trickNo}.`;
+      case "handOver":
+        return e.euchred ? `— Euchred! Defenders score ${e.points}. —` : `— Makers take ${e.makerTricks} tricks for ${e.points}. —`;
+      default:
+        return null;
+    }
+  }
+  // the whole hand so far, bidding and play
+  let tricksLogged = 0;
+  const handLog = game.log
+    .map((e, i) => ({
+      key: i,
+      text: logLine(e, e.type === "trick" ? ++tricksLogged : tricksLogged),
+      why: showWhy ? bidWhy.current.get(e) : null,
+    }))
+    .filter((x) => x.text);
 
-    const newTWPlayer = [...tricksWonPlayer];
-    newTWPlayer[winner] += 1;
+  /** Current winning player for highlight + dimming */
+  // During a replay the table shows the replay frame instead of the live hand
+  const frame = replay ? replay.frames[replay.at] : null;
+  const tableTrump = frame ? frame.trump : trump;
+  const tricksShown = frame ? frame.tricksWon : tricksWonPlayer;
+  const nameOf = replay?.names ? (i) => replay.names[i] : playerName;
+
+  // a finished trick waiting for a tap before play goes on
+  const heldTrick = !replay && pauseTrick && tapToContinue && !autopilot;
+  const shownTrick = frame ? frame.trick : (pauseTrick || reviewTrick) && game.lastTrick ? game.lastTrick.cards : trick;
+  const currentWinningPlayer = useMemo(() => {
+    if (!shownTrick.length || !tableTrump) return null;
+    return shownTrick[trickWinnerIndex(shownTrick, tableTrump)].player;
+  }, [shownTrick, tableTrump]);
 
-    finishTrickAndAdvance(winner, newHands, newTWTeam, newTWPlayer);
+  function dealerPickupAndDiscard(discardCard) {
+    dispatch({ type: "discard", player: dealer, card: discardCard });
   }
 
   function playCard(playerIndex, card) {
-    if (phase !== "playing") return;
     if (pauseTrick) return;
-    if (playerIndex !== turn) return;
-    if (inactivePlayer !== null && playerIndex === inactivePlayer) return;
-
-    const hand = hands[playerIndex];
-    const legal = legalCards(hand, trump, leadSuit);
-    const isLegal = legal.some((c) => c.r === card.r && c.s === card.s);
-    if (!isLegal) return;
-
-    const newHands = hands.map((h, i) => (i === playerIndex ? h.filter((c) => !(c.r === card.r && c.s === card.s)) : h));
-    const newTrick = [...trick, { player: playerIndex, card }];
-
-    setDeal({ hands: newHands, upcard });
-    setTrick(newTrick);
-
-    const targetCount = inactivePlayer === null ? 4 : 3;
-    if (newTrick.length < targetCount) {
-      setTurn(nextTurnIndex(turn));
-      return;
-    }
-
-    setTimeout(() => resolveTrickIfComplete(newTrick, newHands), 250);
+    setReviewTrick(false);
+    dispatch({ type: "play", player: playerIndex, card });
   }
 
   /** ---------- Bidding ---------- **/
   function pass() {
-    if (phase !== "bid1" && phase !== "bid2") return;
-    logBid(`${playerName(turn)} passes.`);
-    flashBadge(turn, "PASS");
-setCooldown();
-    const next = (turn + 1) % 4;
-    const backToFirst = next === (dealer + 1) % 4;
-
-    if (phase === "bid1") {
-      if (backToFirst) {
-        setPhase("bid2");
-        setTurn((dealer + 1) % 4);
-        logBid(`— Round 2: choose a suit (not ${upcard.s}) or pass. —`);
-        return;
-      }
-      setTurn(next);
-      return;
-    }
-
-    if (backToFirst) {
-      setForcedDealerPick(true);
-      setTurn(dealer);
-      logBid(`— Screw the Dealer: ${playerName(dealer)} must choose trump. —`);
-      return;
-    }
-    setTurn(next);
+    dispatch({ type: "pass", player: turn });
   }
 
   function orderUp(goAlone = false) {
-    if (phase !== "bid1") return;
-    const caller = turn;
-    flashBadge(caller, goAlone ? "ALONE" : "ORDER");
-setCooldown();
-    const t = upcard.s;
-
-    setTrump(t);
-    setMaker(caller);
-    setMakerTeam(teamOf(caller));
-    setAlonePlayer(goAlone ? caller : null);
-
-    logBid(`${playerName(caller)} orders up ${t}${goAlone ? " (ALONE)" : ""}. Trump is ${t}.`);
-
-    // If maker goes alone and the dealer is the sitting-out partner,
-// skip dealer pickup/discard entirely.
-const partnerSeat = (typeof partnerOf === "function")
-  ? partnerOf(caller)
-  : (caller + 2) % 4;
-
-const dealerIsSittingOut = goAlone && partnerSeat === dealer;
-
-if (dealerIsSittingOut) {
-  setPendingDealerPickup(false);
-  setPhase("playing");
-  setForcedDealerPick(false);
-  setLogOpen(false);
-
-  const firstLead = normalizeTurnMaybe((dealer + 1) % 4);
-  setTurn(firstLead);
-
-  logBid(`Dealer (${playerName(dealer)}) sits out — skipping pickup/discard.`);
-} else {
-  setPendingDealerPickup(true);
-  setPhase("dealer_discard");
-  setTurn(dealer);
-}
-
-    setDeal((prev) => {
-      const nh = prev.hands.map((h, i) => (i === 0 ? sortHandForTrump(h, t) : h));
-      return { ...prev, hands: nh };
-    });
+    dispatch({ type: "orderUp", player: turn, alone: goAlone });
   }
 
   function callSuit(suit, goAlone = false) {
-    if (phase !== "bid2" && !forcedDealerPick) return;
-    if (suit === upcard.s) return;
-
-    const caller = turn;
-    flashBadge(caller, goAlone ? "ALONE" : `CALL ${suit}`);
-setCooldown();
-
-    setTrump(suit);
-    setMaker(caller);
-    setMakerTeam(teamOf(caller));
-    setAlonePlayer(goAlone ? caller : null);
-
-    logBid(`${playerName(caller)} calls ${suit}${goAlone ? " (ALONE)" : ""}. Trump is ${suit}.`);
-
-    setPhase("playing");
-    setForcedDealerPick(false);
-    setLogOpen(false);
-
-    const firstLead = normalizeTurnMaybe((dealer + 1) % 4);
-    setTurn(firstLead);
+    dispatch({ type: "callSuit", player: turn, suit, alone: goAlone });
+  }
 
-    setDeal((prev) => {
-      const nh = prev.hands.map((h, i) => (i === 0 ? sortHandForTrump(h, suit) : h));
-      return { ...prev, hands: nh };
-    });
+  function defendAlone() {
+    dispatch({ type: "defendAlone", player: turn });
   }
 
   /** ---------- Bots ---------- **/
   function botAct() {
     if (Date.now() < cooldownUntil) return;
-    if (turn === 0) return;
-    if (pauseTrick) return;
-
-    if (inactivePlayer !== null && turn === inactivePlayer) {
-      setTurn(nextTurnIndex(turn));
-      return;
-    }
-
-    if (phase === "dealer_discard" && pendingDealerPickup && turn === dealer) {
-      const t = upcard.s;
-      const hand = hands[dealer];
-      const tempHand = [...hand, upcard];
-
-      let discard = tempHand[0];
-      let worst = Infinity;
-      for (const c of tempHand) {
-        const val = cardPower(c, t, t);
-        const eff = effectiveSuit(c, t);
-        const dscore = eff === t ? val + 50 : val;
-        if (dscore < worst) (worst = dscore), (discard = c);
-      }
-
-      const newHands = hands.map((h) => [...h]);
-      newHands[dealer] = tempHand.filter((c) => !(c.r === discard.r && c.s === discard.s));
-      setDeal({ hands: newHands, upcard });
+    if (pauseTrick || reviewTrick || paused) return;
+
+    const g = gameRef.current;
+    const actor = actingSeat(g);
+    if (actor === null || (isHuman(actor) && !onAutopilot(actor))) return;
+
+    const strategy = strategyFor(seatBots[actor]);
+    const action = strategyAction(strategy, g, fallbackStrategy);
+    if (!action) return;
+    // what the bid weighed, for its "why?" row (a fresh view draws what the decision drew)
+    const why = strategy.explainBid?.(playerView(g, actor));
+    const events = dispatch(action);
+    if (why && events?.length) bidWhy.current.set(events[0], why);
+  }
 
-      setPendingDealerPickup(false);
-      setPhase("playing");
-      setLogOpen(false);
+  useEffect(() => {
+    if (botTimer.current) clearInterval(botTimer.current);
+    botTimer.current = setInterval(() => {
+      if (phase === "idle" || phase === "hand_over") return;
+      if (replay || netTable) return;
+      botAct();
+    }, pace.tick);
+    return () => clearInterval(botTimer.current);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [game, pauseTrick, reviewTrick, cooldownUntil, seatBots, replay, netTable, autopilot, paused, speed]);
 
-      const firstLead = normalizeTurnMaybe((dealer + 1) % 4);
-      setTurn(firstLead);
+  // on autopilot for the game, deal on after a hand too
+  useEffect(() => {
+    if (autopilot !== "game" || netTable || replay || pauseTrick || paused || gameOver) return;
+    if (phase !== "idle" && phase !== "hand_over") return;
+    const t = setTimeout(() => dispatch({ type: "deal" }), pace.nextHand);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [autopilot, phase, netTable, replay, pauseTrick, paused, gameOver, speed]);
+
+  /** ---------- Online play ---------- **/
+  function connectOnline() {
+    netRef.current?.close();
+    setAutopilot(null);
+    setOnline({ url: serverUrl, status: "connecting", lobby: [], table: null, error: "" });
+    netRef.current = connectToServer({
+      url: serverUrl,
+      name: names.p0,
+      onStatus: (status) =>
+        setOnline((o) => o && { ...o, status, error: status === "replaced" ? "Your seat is open in another tab now." : o.error }),
+      onMessage: onServerMessage,
+    });
+  }
 
-      logBid(`${playerName(dealer)} picked up and discarded.`);
-      return;
+  function onServerMessage(msg) {
+    if (msg.type === "lobby") {
+      backToLocalGame();
+      setOnline((o) => o && { ...o, lobby: msg.tables, table: null, error: "" });
+    } else if (msg.type === "table") {
+      localGame.current ??= gameRef.current;
+      gameRef.current = msg.game;
+      setGame(msg.game);
+      setOnline((o) => o && { ...o, table: { id: msg.id, name: msg.name, seat: msg.seat, seats: msg.seats }, error: "" });
+      showEvents(msg.events, msg.game);
+    } else if (msg.type === "error") {
+      setOnline((o) => o && { ...o, error: msg.message });
     }
+  }
 
-    if (phase === "bid1") {
-  const hand = hands[turn];
-  const seatIsDealer = turn === dealer;
-  const seatIsPartnerDealer = turn === (dealer + 2) % 4;
-
-  if (shouldOrderUp(hand, upcard.s, turn, dealer, upcard)) {
-    const alone = shouldGoAlone_STRICT(hand, upcard.s, seatIsDealer, upcard, true);
-    orderUp(alone);
-  } else pass();
-  return;
-}
-
-
-    if (phase === "bid2") {
-      const hand = hands[turn];
-      const mustPick = forcedDealerPick && turn === dealer;
-      const seatIsDealer = turn === dealer;
-
-      const res = shouldCallSuitRound2(hand, upcard.s, mustPick, turn, dealer, upcard);
-      if (res.call) {
-        const alone = shouldGoAlone_STRICT(hand, res.suit, seatIsDealer, upcard, false);
-        callSuit(res.suit, alone);
-      } else pass();
-      return;
-    }
+  /** Put the local game back after leaving an online table */
+  function backToLocalGame() {
+    const local = localGame.current;
+    if (!local) return;
+    gameRef.current = local;
+    setGame(local);
+    localGame.current = null;
+    clearTimeout(pauseTimer.current);
+    setPauseTrick(false);
+    setSeatBadge(Array(local.numSeats).fill(""));
+  }
 
-   if (phase === "playing") {
-  const hand = hands[turn];
-  const c = choosePlayCardAI(hand, trump, trick, turn, inactivePlayer);
-  playCard(turn, c);
-}
+  function disconnectOnline() {
+    netRef.current?.close();
+    netRef.current = null;
+    backToLocalGame();
+    setOnline(null);
   }
 
-  useEffect(() => {
-  if (phase !== "dealer_discard") return;
-  if (!pendingDealerPickup) return;
-  if (inactivePlayer === null) return;
+  useEffect(() => () => netRef.current?.close(), []);
+
+  /** ---------- Replay ---------- **/
+  function startReplay(record) {
+    setShowHistory(false);
+    setReplay({
+      record,
+      frames: replayFrames(record),
+      at: 0,
+      playing: false,
+      faceUp: false,
+      names: importedGame?.names ?? null,
+      numSeats: importedGame?.numSeats ?? game.numSeats,
+    });
+  }
 
-  if (dealer === inactivePlayer) {
-    // dealer is sitting out; no discard needed
-    setPendingDealerPickup(false);
-    setPhase("playing");
-    setLogOpen(false);
+  /** ---------- Perfect-play analysis ---------- **/
+  function analyze(record) {
+    setShowHistory(false);
+    const numSeats = importedGame && showHistory ? importedGame.numSeats : game.numSeats;
+    const names = importedGame && showHistory ? importedGame.names : null;
+    const seats = importedGame && showHistory ? [0] : humanSeats;
+    setAnalysis({ record, result: analyzeHand(record, numSeats, seats), names, seats });
+  }
 
-    const firstLead = normalizeTurnMaybe((dealer + 1) % 4);
-    setTurn(firstLead);
+  function replayTo(at) {
+    setReplay((r) => ({ ...r, at: Math.max(0, Math.min(r.frames.length - 1, at)), playing: false }));
+  }
 
-    logBid(`Dealer (${playerName(dealer)}) sits out — pickup/discard skipped.`);
+  function toggleReplayPlay() {
+    setReplay((r) => ({ ...r, playing: !r.playing, at: !r.playing && r.at === r.frames.length - 1 ? 0 : r.at }));
   }
-}, [phase, pendingDealerPickup, inactivePlayer, dealer]);
 
   useEffect(() => {
-    if (botTimer.current) clearInterval(botTimer.current);
-    botTimer.current = setInterval(() => {
-      if (phase === "idle" || phase === "hand_over") return;
-      if (turn !== 0) botAct();
-    }, 340);
-    return () => clearInterval(botTimer.current);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [phase, turn, hands, trick, trump, pendingDealerPickup, forcedDealerPick, inactivePlayer, pauseTrick]);
+    if (!replay?.playing) return;
+    const t = setTimeout(() => {
+      setReplay((r) => (r && r.at < r.frames.length - 1 ? { ...r, at: r.at + 1 } : r && { ...r, playing: false }));
+    }, 900);
+    return () => clearTimeout(t);
+  }, [replay?.playing, replay?.at]);
+
+  // first frame of each trick, for the jump buttons
+  const replayTricks = replay ? replay.frames.flatMap((f, i) => (f.kind === "play" && f.trick.length === 1 ? [i] : [])) : [];
 
   /** ---------- UI derived ---------- **/
-  const yourHand = hands[0] || [];
+  const yourHand = sortHandForTrump(hands[viewer] || [], trump);
+
+  // Coach hints for your turn (worked out from your seat's view only)
+  const advice = useMemo(() => {
+    if (coach === "off" || replay || pauseTrick || handOff || actor !== viewer || onAutopilot(viewer)) return null;
+    return coachAdvice(playerView(game, viewer), coach);
+  }, [game, coach, replay, pauseTrick, handOff, viewer, autopilot]);
+  // Open-hands training (never online: the server only sends your own cards)
+  const openHands = training !== "off" && !netTable;
+  // what each bot seat is weighing: everyone's bid while bidding, then just the seat to act
+  const insights = useMemo(() => {
+    if (training !== "explain" || netTable || replay || pauseTrick) return {};
+    const out = {};
+    for (let seat = 0; seat < game.numSeats; seat++) {
+      if (isHuman(seat) || inactive.includes(seat)) continue;
+      if ((phase === "playing" || phase === "dealer_discard") && seat !== actor) continue;
+      const note = botInsight(playerView(game, seat), botProfile(seatBots[seat]));
+      if (note) out[seat] = note;
+    }
+    return out;
+  }, [game, training, netTable, replay, pauseTrick, seatBots]);
   const yourLegal = phase === "playing" ? legalCards(yourHand, trump, leadSuit) : yourHand;
   const yourLegalSet = useMemo(() => new Set(yourLegal.map(cardKey)), [yourLegal]);
 
   const dealerDiscardChoices = useMemo(() => {
-    if (!(phase === "dealer_discard" && pendingDealerPickup && dealer === 0)) return null;
-    return [...hands[0], upcard];
-  }, [phase, pendingDealerPickup, dealer, hands, upcard]);
+    if (!(phase === "dealer_discard" && pendingDealerPickup && dealer === viewer)) return null;
+    return [...hands[viewer], upcard];
+  }, [phase, pendingDealerPickup, dealer, hands, upcard, viewer]);
 
-  const trickCard = (p) => trick.find((t) => t.player === p)?.card || null;
+  const trickCard = (p) => shownTrick.find((t) => t.player === p)?.card || null;
 
   const shouldShowUpcardInCenter =
     upcard && (phase === "bid1" || phase === "bid2" || (phase === "dealer_discard" && pendingDealerPickup));
 
+  // your controls are up when it's your seat's turn and autopilot isn't playing it
+  const yourTurn = (seat) => seat === viewer && !onAutopilot(seat);
+  const waitingFor = (seat) => (onAutopilot(seat) ? "Autopilot is playing for you…" : `Waiting for ${playerName(seat)}…`);
+
   const statusLine = useMemo(() => {
     if (phase === "playing") {
-      if (inactivePlayer === 0) return `${playerName(alonePlayer)} is going alone — you sit out this hand.`;
-      if (turn === 0) return leadSuit ? `Follow suit if possible: ${leadSuit}` : "You lead. Tap a card to play.";
-      return `Waiting for ${playerName(turn)}…`;
+      if (inactive.includes(viewer)) {
+        return alonePlayer !== null && alonePlayer === partnerOf(game, viewer)
+          ? `${playerName(alonePlayer)} is going alone — you sit out this hand.`
+          : `${playerName(defenderAlone)} is defending alone — you sit out this hand.`;
+      }
+      if (yourTurn(turn)) return leadSuit ? `Follow suit if possible: ${leadSuit}` : "You lead. Tap a card to play.";
+      return waitingFor(turn);
     }
     return "";
-  }, [phase, inactivePlayer, alonePlayer, turn, leadSuit]);
+  }, [phase, inactive.join(), alonePlayer, defenderAlone, turn, leadSuit, viewer, autopilot]);
+
+  const dealerOfSeat = (i) => i === (frame ? frame.dealer : dealer);
+  const makerOfSeat = (i) => {
+    const m = frame ? frame.maker : maker;
+    return m !== null && i === m;
+  };
+
+  /** Seat shown at a table position; cutthroat leaves the top empty. The seat whose
+   * cards are showing (yours online, the revealed human in pass and play) is at the bottom. */
+  const seatAt = (pos) => {
+    const n = replay ? replay.numSeats : game.numSeats;
+    const spot = SEAT_SPOTS[n].indexOf(pos);
+    if (spot < 0) return null;
+    return replay ? spot : (spot + viewer) % n;
+  };
+
+  function nameRow(seat, vertical = false) {
+    return (
+      <div className={`nameRow ${vertical ? "verticalText" : ""}`}>
+        <span className="seatName">{nameOf(seat)}</span>
+        {!replay && netTable?.seats[seat]?.human && !netTable.seats[seat].connected && <span className="seatLevel">Offline</span>}
+        {!replay && !netTable && (isHuman(seat) ? humanSeats.length > 1 && <span className="seatLevel">Human</span> : (
+          <span className="seatLevel">{seatBotLabel(seatBots[seat])}</span>
+        ))}
+        {seatBadge[seat] && !replay && <span className="seatBadge">{seatBadge[seat]}</span>}
+        {dealerOfSeat(seat) && <DealerChip />}
+        {makerOfSeat(seat) && <TrumpChip suit={tableTrump} />}
+      </div>
+    );
+  }
 
-  const dealerOfSeat = (i) => i === dealer;
-  const makerOfSeat = (i) => maker !== null && i === maker;
+  /** Another seat's cards, face up: replaying with "show all hands" on, or in open-hands training */
+  function openHand(seat) {
+    if (replay ? !replay.faceUp : !openHands || seat === viewer) return null;
+    const cards = replay ? sortHandForTrump(frame.hands[seat], frame.trump) : sortHandForTrump(hands[seat], trump);
+    const note = !replay && insights[seat];
+    return (
+      <>
+        <div className="openHand">
+          {cards.map((c) => (
+            <Card key={cardKey(c)} c={c} compact disabled suggested={!!note?.card && sameCard(note.card, c)} />
+          ))}
+        </div>
+        {note && (
+          <div className="botNote">
+            {note.strengths && <StrengthChips strengths={note.strengths} />}
+            {note.card && (
+              <div>
+                {phase === "dealer_discard" ? "Discards" : "Looking at"} <b>{cardLabel(note.card)}</b>: {note.reason}.
+              </div>
+            )}
+          </div>
+        )}
+      </>
+    );
+  }
 
-  const emphasizedSeat = pauseTrick ? trickWinnerPreview : currentWinningPlayer;
+  const emphasizedSeat = currentWinningPlayer;
 
   function trickDim(seat) {
-    if (!trick.length) return false;
+    if (!shownTrick.length) return false;
     if (emphasizedSeat === null || emphasizedSeat === undefined) return false;
     return emphasizedSeat !== seat;
   }
@@ -1041,22 +1066,60 @@ setCooldown();
   return (
     <div className="screen">
       <div className="topHUD">
-        <button className="iconBtn" onClick={() => setShowSettings(true)} type="button" title="Settings">
-          ⚙️
-        </button>
+        <div className="hudBtns">
+          <button className="iconBtn" onClick={() => setShowSettings(true)} type="button" title="Settings">
+            ⚙️
+          </button>
+          <button className="iconBtn" onClick={openHistory} type="button" title="Hand history">
+            📜
+          </button>
+          <button className="iconBtn" onClick={() => setShowStats(true)} type="button" title="Stats">
+            📊
+          </button>
+          <button className="iconBtn" onClick={() => setShowOnline(true)} type="button" title="Play online">
+            🌐
+          </button>
+          {!netTable && (
+            <button className="iconBtn" onClick={() => setPaused((p) => !p)} type="button" title={paused ? "Let the bots play on" : "Pause the bots"}>
+              {paused ? "▶️" : "⏸️"}
+            </button>
+          )}
+        </div>
 
         <div className="scorePill">
-          <span className="scoreLabel">{playerName(0)} & {playerName(2)}</span>
-          <span className="scoreNum">{score[0]}</span>
-          <span className="divider" />
-          <span className="scoreLabel">{playerName(1)} & {playerName(3)}</span>
-          <span className="scoreNum">{score[1]}</span>
+          {score.map((pts, t) => (
+            <React.Fragment key={t}>
+              {t > 0 && <span className="divider" />}
+              <span className="scoreLabel">{teamLabel(t)}</span>
+              <span className="scoreNum">{pts}</span>
+            </React.Fragment>
+          ))}
         </div>
 
         <div className="smallInfo">
           <div>
-            Trump: <b>{trump ?? "—"}</b>
+            Trump: <b>{tableTrump ?? "—"}</b>
+          </div>
+          {netTable ? (
+            <div>
+              Table: <b>{netTable.id}</b>
+              {online.status !== "online" && (
+                <span className="warnText"> · {online.status === "replaced" ? "in another tab" : `${online.status}…`}</span>
+              )}
+            </div>
+          ) : (
+            <div>
+              Seed: <b>{formatDeal(game.seed, game.dealer)}</b>
+            </div>
+          )}
+          <div title={describeRules(game.rules)}>
+            Rules: <b>{rulesSummary(game.rules)}</b>
           </div>
+          {game.training && !netTable && (
+            <div title="Played with every hand face up, so it isn't counted in your stats">
+              <b>Training game</b>
+            </div>
+          )}
         </div>
       </div>
 
@@ -1065,89 +1128,61 @@ setCooldown();
         <div className="lane leftLane">
           <div className="sideSeat">
             <div className="seatHeader vertical">
-              <Stars filled={tricksWonPlayer[1]} className="vertical" />
-              <div className="nameRow verticalText">
-                <span className="seatName">{playerName(1)}</span>
-                {seatBadge[1] && <span className="seatBadge">{seatBadge[1]}</span>}
-                {dealerOfSeat(1) && <DealerChip />}
-                {makerOfSeat(1) && <TrumpChip suit={trump} />}
-              </div>
+              <Stars filled={tricksShown[seatAt("left")]} className="vertical" />
+              {nameRow(seatAt("left"), true)}
             </div>
+            {openHand(seatAt("left"))}
           </div>
         </div>
 
         {/* CENTER LANE */}
         <div className="lane centerLane">
-          {/* TOP seat */}
+          {/* TOP seat (empty in cutthroat) */}
           <div className="topSeat">
-            <div className="seatHeader horizontal">
-              <div className="nameRow">
-                <span className="seatName">{playerName(2)}</span>
-                {seatBadge[2] && <span className="seatBadge">{seatBadge[2]}</span>}
-                {dealerOfSeat(2) && <DealerChip />}
-                {makerOfSeat(2) && <TrumpChip suit={trump} />}
+            {seatAt("top") !== null && (
+              <div className="seatHeader horizontal">
+                {nameRow(seatAt("top"))}
+                <Stars filled={tricksShown[seatAt("top")]} />
               </div>
-              <Stars filled={tricksWonPlayer[2]} />
-            </div>
+            )}
+            {seatAt("top") !== null && openHand(seatAt("top"))}
           </div>
 
           {/* MID area */}
           <div className="midArea">
             <div className="midBox">
-              <div className="miniTitle">Current Trick</div>
-              <div className="trickLayout">
-                <div className="spot topSpot">
-                  {trickCard(2) ? (
-                    <Card
-                      c={trickCard(2)}
-                      highlight={emphasizedSeat === 2}
-                      dim={trickDim(2)}
-                    />
-                  ) : (
-                    <div className="ghost2" />
-                  )}
-                </div>
-
-                <div className="spot leftSpot">
-                  {trickCard(1) ? (
-                    <Card
-                      c={trickCard(1)}
-                      highlight={emphasizedSeat === 1}
-                      dim={trickDim(1)}
-                    />
-                  ) : (
-                    <div className="ghost2" />
-                  )}
-                </div>
-
-                <div className="spot rightSpot">
-                  {trickCard(3) ? (
-                    <Card
-                      c={trickCard(3)}
-                      highlight={emphasizedSeat === 3}
-                      dim={trickDim(3)}
-                    />
-                  ) : (
-                    <div className="ghost2" />
-                  )}
-                </div>
-
-                <div className="spot bottomSpot">
-                  {trickCard(0) ? (
-                    <Card
-                      c={trickCard(0)}
-                      highlight={emphasizedSeat === 0}
-                      dim={trickDim(0)}
-                    />
-                  ) : (
-                    <div className="ghost2" />
-                  )}
-                </div>
-
-                {shouldShowUpcardInCenter && (
+              <div className="logHeaderRow">
+                <div className="miniTitle">{reviewTrick && !replay ? "Last Trick" : "Current Trick"}</div>
+                {heldTrick && (
+                  <button className="tinyBtn" type="button" onClick={() => setPauseTrick(false)}>
+                    Continue ▸
+                  </button>
+                )}
+                {!replay && game.lastTrick && (phase === "playing" || phase === "hand_over") && !pauseTrick && (
+                  <button className="tinyBtn" type="button" onClick={() => setReviewTrick((x) => !x)}>
+                    {reviewTrick ? "Back" : "Last trick"}
+                  </button>
+                )}
+              </div>
+              <div className="trickLayout" onClick={heldTrick ? () => setPauseTrick(false) : undefined}>
+                {["top", "left", "right", "bottom"].map((pos) => {
+                  const seat = seatAt(pos);
+                  if (seat === null) return null;
+                  return (
+                    <div key={pos} className={`spot ${pos}Spot`}>
+                      {trickCard(seat) ? (
+                        <Card c={trickCard(seat)} highlight={emphasizedSeat === seat} dim={trickDim(seat)} />
+                      ) : (
+                        <div className="ghost2" />
+                      )}
+                    </div>
+                  );
+                })}
+
+                {(frame ? frame.upcard : shouldShowUpcardInCenter) && (
                   <div className="upcardInCenter">
                     <div className="miniTitle upTitle">Upcard</div>
-                    <Card c={upcard} />
+                    <Card c={frame ? frame.upcard : upcard} />
                   </div>
                 )}
               </div>
@@ -1156,47 +1191,108 @@ setCooldown();
             {/* ACTION + LOG column */}
             <div className="hudColumn">
               <div className="actionBox">
-                <div className="boxTitle">Action</div>
+                <div className="boxTitle">{replay ? `Replay · Hand ${replay.record.number}` : "Action"}</div>
+
+                {advice && (
+                  <div className="coachBox">
+                    <div className="miniTitle">Coach</div>
+                    {advice.strengths && <StrengthChips strengths={advice.strengths} />}
+                    <div className="boxLine">{advice.advice}</div>
+                  </div>
+                )}
+
+                {replay && (
+                  <div className="boxInner">
+                    <div className="muted">
+                      Step {replay.at + 1} of {replay.frames.length}
+                    </div>
+                    <div className="row">
+                      <button className="btnGhost" onClick={() => replayTo(0)} type="button" title="Back to the deal">
+                        ⏮
+                      </button>
+                      <button className="btnGhost" onClick={() => replayTo(replay.at - 1)} type="button" title="Step back">
+                        ◀
+                      </button>
+                      <button className="btnPrimary" onClick={toggleReplayPlay} type="button">
+                        {replay.playing ? "⏸ Pause" : "▶ Play"}
+                      </button>
+                      <button className="btnGhost" onClick={() => replayTo(replay.at + 1)} type="button" title="Step forward">
+                        ▶
+                      </button>
+                      <button className="btnGhost" onClick={() => replayTo(replay.frames.length - 1)} type="button" title="To the end">
+                        ⏭
+                      </button>
+                    </div>
+                    {replayTricks.length > 0 && (
+                      <div className="row">
+                        {replayTricks.map((at, n) => (
+                          <button key={at} className="tinyBtn" onClick={() => replayTo(at)} type="button">
+                            Trick {n + 1}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <label className="toggleRow">
+                      <input
+                        type="checkbox"
+                        checked={replay.faceUp}
+                        onChange={(e) => setReplay((r) => ({ ...r, faceUp: e.target.checked }))}
+                      />
+                      Show every hand face up
+                    </label>
+                    <button className="btnGhost" onClick={() => setReplay(null)} type="button">
+                      Exit Replay
+                    </button>
+                  </div>
+                )}
 
-                {phase === "idle" && (
-                  <button className="bigBtn" onClick={() => startNewHand(dealer)} type="button">
+                {phase === "idle" && !replay && (
+                  <button className="bigBtn" onClick={startNewHand} type="button">
                     Start Game / Deal Hand
                   </button>
                 )}
 
-                {phase === "hand_over" && !gameOver && (
+                {phase === "hand_over" && !gameOver && !pauseTrick && !replay && (
                   <button className="bigBtn" onClick={nextDealerAndHand} type="button">
                     Next Hand
                   </button>
                 )}
 
-                {gameOver && (
-                  <button className="bigBtn" onClick={resetEverything} type="button">
+                {phase === "hand_over" && !pauseTrick && !replay && game.history.at(-1)?.result && game.history.at(-1).hands && (
+                  <button className="btnGhost" onClick={() => analyze(game.history.at(-1))} type="button">
+                    🔍 Compare with perfect play
+                  </button>
+                )}
+
+                {gameOver && !replay && (
+                  <button className="bigBtn" onClick={() => resetEverything()} type="button">
                     New Game
                   </button>
                 )}
 
-                {(phase === "bid1" || phase === "bid2" || phase === "dealer_discard") && (
+                {!replay && (phase === "bid1" || phase === "bid2" || phase === "dealer_discard" || phase === "defend_alone") && (
                   <div className="boxInner">
                     {phase === "bid1" && (
                       <>
                         <div className="boxLine">
                           Round 1: Order up <b>{upcard?.s}</b> or pass.
                         </div>
-                        {turn === 0 ? (
+                        {yourTurn(turn) ? (
                           <div className="row">
                             <button className="btnPrimary" onClick={() => orderUp(false)} type="button">
                               Order Up
                             </button>
-                            <button className="btnPrimary" onClick={() => orderUp(true)} type="button">
-                              Order Up (Alone)
-                            </button>
+                            {!cutthroat && (
+                              <button className="btnPrimary" onClick={() => orderUp(true)} type="button">
+                                Order Up (Alone)
+                              </button>
+                            )}
                             <button className="btnGhost" onClick={pass} type="button">
                               Pass
                             </button>
                           </div>
                         ) : (
-                          <div className="muted">Waiting for {playerName(turn)}…</div>
+                          <div className="muted">{waitingFor(turn)}</div>
                         )}
                       </>
                     )}
@@ -1206,12 +1302,18 @@ setCooldown();
                         <div className="boxLine">
                           Trump is <b>{trump}</b>. Dealer picks up then discards.
                         </div>
-                        {dealer === 0 ? (
+                        {yourTurn(dealer) ? (
                           <>
                             <div className="muted">Tap a card to discard it.</div>
                             <div className="discardStrip">
                               {dealerDiscardChoices?.map((c) => (
-                               <Card key={cardKey(c)} c={c} onClick={() => dealerPickupAndDiscard(c)} compact />
+                               <Card
+                                 key={cardKey(c)}
+                                 c={c}
+                                 onClick={() => dealerPickupAndDiscard(c)}
+                                 compact
+                                 suggested={!!advice?.card && sameCard(advice.card, c)}
+                               />
                               ))}
                             </div>
                           </>
@@ -1224,11 +1326,23 @@ setCooldown();
                     {phase === "bid2" && (
                       <>
                         <div className="boxLine">
-                          Round 2: Choose a suit (not <b>{upcard?.s}</b>) or pass.
+                          {isJoker(upcard) ? (
+                            <>Dealer names trump.</>
+                          ) : (
+                            <>
+                              Round 2: Choose a suit (not <b>{upcard?.s}</b>) or pass.
+                            </>
+                          )}
                         </div>
-                        {forcedDealerPick && <div className="warn">Screw the Dealer: dealer must choose.</div>}
+                        {forcedDealerPick && (
+                          <div className="warn">
+                            {isJoker(upcard)
+                              ? "Joker turned up: dealer names trump and picks it up."
+                              : "Screw the Dealer: dealer must choose."}
+                          </div>
+                        )}
 
-                        {turn === 0 ? (
+                        {yourTurn(turn) ? (
                           <>
                             <div className="row">
                               {SUITS.filter((s) => s !== upcard?.s).map((s) => (
@@ -1237,13 +1351,15 @@ setCooldown();
                                 </button>
                               ))}
                             </div>
-                            <div className="row">
-                              {SUITS.filter((s) => s !== upcard?.s).map((s) => (
-                                <button key={`a-${s}`} className="btnPrimary" onClick={() => callSuit(s, true)} type="button">
-                                  Call {s} (Alone)
-                                </button>
-                              ))}
-                            </div>
+                            {!cutthroat && (
+                              <div className="row">
+                                {SUITS.filter((s) => s !== upcard?.s).map((s) => (
+                                  <button key={`a-${s}`} className="btnPrimary" onClick={() => callSuit(s, true)} type="button">
+                                    Call {s} (Alone)
+                                  </button>
+                                ))}
+                              </div>
+                            )}
                             {!forcedDealerPick && (
                               <button className="btnGhost" onClick={pass} type="button">
                                 Pass
@@ -1251,16 +1367,71 @@ setCooldown();
                             )}
                           </>
                         ) : (
-                          <div className="muted">Waiting for {playerName(turn)}…</div>
+                          <div className="muted">{waitingFor(turn)}</div>
                         )}
                       </>
                     )}
+
+                    {phase === "defend_alone" && (
+                      <>
+                        <div className="boxLine">
+                          Trump is <b>{trump}</b>. {playerName(maker)} {alonePlayer !== null ? "is going alone" : "made it"}.
+                          Defend alone?
+                        </div>
+                        {yourTurn(turn) ? (
+                          <div className="row">
+                            <button className="btnPrimary" onClick={defendAlone} type="button">
+                              Defend Alone
+                            </button>
+                            <button className="btnGhost" onClick={pass} type="button">
+                              Play With Partner
+                            </button>
+                          </div>
+                        ) : (
+                          <div className="muted">{waitingFor(turn)}</div>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {!replay && !netTable && !gameOver && (
+                  <div className="row">
+                    {autopilot ? (
+                      <>
+                        <span className="muted">
+                          🤖 Autopilot is playing for you{autopilot === "hand" ? " to the end of this hand" : ""}.
+                        </span>
+                        <button className="btnPrimary" onClick={() => setAutopilot(null)} type="button">
+                          Take Over
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button className="btnGhost" onClick={() => setAutopilot("game")} type="button" title="A bot plays your seat until you take over">
+                          🤖 Autopilot
+                        </button>
+                        {phase !== "idle" && phase !== "hand_over" && (
+                          <button className="btnGhost" onClick={() => setAutopilot("hand")} type="button">
+                            ⏩ Autoplay this hand
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {allowUndo && canUndo && !gameOver && !replay && !netTable && (
+                  <div className="row undoRow">
+                    <button className="btnGhost" onClick={undo} type="button">
+                      ↶ Undo
+                    </button>
                   </div>
                 )}
               </div>
 
               <div className="logHeaderRow">
-                <div className="boxTitle">Bidding Log</div>
+                <div className="boxTitle">Hand Log</div>
                 <button className="tinyBtn" type="button" onClick={() => setLogOpen((x) => !x)}>
                   {logOpen ? "Hide" : "Show"}
                 </button>
@@ -1268,8 +1439,27 @@ setCooldown();
 
               {logOpen && (
                 <div className="logBox">
-                  <div className="logBody">
-                    {bidLog.length ? bidLog.slice(-10).map((x, i) => <div key={i}>{x}</div>) : <div className="muted">—</div>}
+                  <div className="logBody" ref={logRef}>
+                    {replay
+                      ? replay.frames
+                          .slice(0, replay.at + 1)
+                          .map((f, i) => <div key={i}>{frameCaption(f, nameOf)}</div>)
+                      : handLog.length
+                        ? handLog.map((x) =>
+                            x.why ? (
+                              <details key={x.key} className="whyRow">
+                                <summary>
+                                  {x.text} <span className="whyLink">why?</span>
+                                </summary>
+                                {bidReasons(x.why).map((line, j) => (
+                                  <div key={j}>{line}</div>
+                                ))}
+                              </details>
+                            ) : (
+                              <div key={x.key}>{x.text}</div>
+                            )
+                          )
+                        : <div className="muted">—</div>}
                   </div>
                 </div>
               )}
@@ -1279,31 +1469,46 @@ setCooldown();
           {/* BOTTOM seat */}
           <div className="bottomSeat">
             <div className="seatHeader horizontal">
-              <div className="nameRow">
-                <span className="seatName">{playerName(0)}</span>
-                {seatBadge[0] && <span className="seatBadge">{seatBadge[0]}</span>}
-                {dealerOfSeat(0) && <DealerChip />}
-                {makerOfSeat(0) && <TrumpChip suit={trump} />}
-              </div>
-              <Stars filled={tricksWonPlayer[0]} />
+              {nameRow(seatAt("bottom"))}
+              <Stars filled={tricksShown[seatAt("bottom")]} />
             </div>
 
+            {humanSeats.length > 1 && !frame && !netTable && <div className="miniTitle">{playerName(viewer)}'s hand</div>}
             <div className="handStrip">
-              {yourHand.map((c) => {
+              {frame && sortHandForTrump(frame.hands[seatAt("bottom")], frame.trump).map((c) => <Card key={cardKey(c)} c={c} disabled />)}
+              {!frame && handCovered && yourHand.map((c) => <Card key={cardKey(c)} faceDown />)}
+              {!frame && !handCovered && yourHand.map((c) => {
                 const legal = yourLegalSet.has(cardKey(c));
                 const disabled =
                   phase !== "playing" ||
                   pauseTrick ||
-                  turn !== 0 ||
+                  !yourTurn(turn) ||
+                  handOff ||
                   !legal ||
                   gameOver ||
-                  (inactivePlayer !== null && inactivePlayer === 0);
-
-                return <Card key={cardKey(c)} c={c} disabled={disabled} onClick={() => playCard(0, c)} />;
+                  inactive.includes(viewer);
+
+                return (
+                  <Card
+                    key={cardKey(c)}
+                    c={c}
+                    disabled={disabled}
+                    suggested={!disabled && !!advice?.card && sameCard(advice.card, c)}
+                    onClick={() => playCard(viewer, c)}
+                  />
+                );
               })}
             </div>
 
-            <div className="hintLine">{statusLine}</div>
+            <div className="hintLine">
+              {frame
+                ? frameCaption(frame, nameOf)
+                : heldTrick
+                  ? "Tap the trick (or Continue) to play on."
+                  : paused && !netTable && actor !== null && !yourTurn(actor)
+                    ? "Paused: the bots wait until you press ▶️."
+                    : statusLine}
+            </div>
           </div>
         </div>
 
@@ -1311,31 +1516,33 @@ setCooldown();
         <div className="lane rightLane">
           <div className="sideSeat">
             <div className="seatHeader vertical">
-              <Stars filled={tricksWonPlayer[3]} className="vertical" />
-              <div className="nameRow verticalText">
-                <span className="seatName">{playerName(3)}</span>
-                {seatBadge[3] && <span className="seatBadge">{seatBadge[3]}</span>}
-                {dealerOfSeat(3) && <DealerChip />}
-                {makerOfSeat(3) && <TrumpChip suit={trump} />}
-              </div>
+              <Stars filled={tricksShown[seatAt("right")]} className="vertical" />
+              {nameRow(seatAt("right"), true)}
             </div>
+            {openHand(seatAt("right"))}
           </div>
         </div>
       </div>
       
-{winningTeam() !== null && (
+{winningTeam() !== null && !pauseTrick && !replay && (
   <div className="modalBackdrop">
     <div className="modal" onClick={(e) => e.stopPropagation()}>
       <div className="winTitle">
-        {winningTeam() === 0
-          ? `${playerName(0)} and ${playerName(2)} win!!`
-          : `${playerName(1)} and ${playerName(3)} win!!`}
+        {cutthroat
+          ? `${playerName(winningTeam())} wins!!`
+          : `${teamSeats(game, winningTeam()).map(playerName).join(" and ")} win!!`}
       </div>
       <div className="winScore">
-        Final Score: <b>{score[0]}</b> – <b>{score[1]}</b>
+        Final Score:{" "}
+        {score.map((pts, t) => (
+          <React.Fragment key={t}>
+            {t > 0 && " – "}
+            <b>{pts}</b>
+          </React.Fragment>
+        ))}
       </div>
       <div className="modalBtns">
-        <button className="btnPrimary" onClick={resetEverything} type="button">
+        <button className="btnPrimary" onClick={() => resetEverything()} type="button">
           New Game
         </button>
       </div>
@@ -1343,6 +1550,244 @@ setCooldown();
   </div>
 )}
 
+      {resumeOffer && (
+        <div className="modalBackdrop">
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalTitle">Resume game?</div>
+            <div className="winScore">
+              {resumeOffer.score.map((pts, t) => (
+                <div key={t}>
+                  {teamLabel(t, resumeOffer)} <b>{pts}</b>
+                </div>
+              ))}
+            </div>
+            <div className="muted">
+              {resumeOffer.phase === "hand_over" || resumeOffer.phase === "idle"
+                ? "Between hands."
+                : `Hand in progress (${resumeOffer.tricksCompleted} of 5 tricks played).`}
+            </div>
+            <div className="modalBtns">
+              <button className="btnPrimary" onClick={resumeSavedGame} type="button">
+                Resume
+              </button>
+              <button className="btnGhost" onClick={declineSavedGame} type="button">
+                New Game
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showHistory && (
+        <div className="modalBackdrop" onClick={() => setShowHistory(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalTitle">{importedGame ? "Imported Game" : "Hand History"}</div>
+            {importedGame && (
+              <div className="muted">
+                {importedGame.names.join(", ")} · exported {importedGame.exportedAt?.slice(0, 10)} · final score{" "}
+                {importedGame.score.join("–")}
+                {importedGame.training && " · training game (every hand face up)"}
+              </div>
+            )}
+            {historyError && <div className="warn">{historyError}</div>}
+
+            <HandHistoryList
+              hands={importedGame ? importedGame.hands : game.history}
+              nameOf={importedGame ? (i) => importedGame.names[i] : playerName}
+              onReplay={startReplay}
+              onAnalyze={analyze}
+            />
+
+            <div className="modalBtns">
+              <button className="btnPrimary" onClick={() => setShowHistory(false)} type="button">
+                Close
+              </button>
+              {importedGame ? (
+                <button className="btnGhost" onClick={() => setImportedGame(null)} type="button">
+                  Back to This Game
+                </button>
+              ) : (
+                <button className="btnGhost" onClick={exportHistory} disabled={!game.history.length} type="button">
+                  Export JSON
+                </button>
+              )}
+              <label className="btnGhost fileBtn">
+                Import…
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={(e) => {
+                    importHistory(e.target.files[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {handOff && (
+        <div className="privacyScreen">
+          <button
+            className="privacyBtn"
+            onClick={() => {
+              setRevealed(actor);
+              setCovered(false);
+            }}
+            type="button"
+          >
+            <div className="privacyTitle">Hand to {playerName(actor)}</div>
+            <div className="muted">Tap to reveal your cards</div>
+          </button>
+        </div>
+      )}
+
+      {showOnline && (
+        <div className="modalBackdrop" onClick={() => setShowOnline(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalTitle">Play Online</div>
+
+            {!online ? (
+              <>
+                <div className="muted">
+                  Everyone joins a table on a game server running on a computer on this network (
+                  <code>npm run server</code>). Empty seats are played by bots.
+                </div>
+                <div className="field">
+                  <label>Server</label>
+                  <input value={serverUrl} onChange={(e) => setServerUrl(e.target.value)} spellCheck={false} />
+                </div>
+                <div className="muted">You play as {names.p0} (change your name in Settings).</div>
+              </>
+            ) : netTable ? (
+              <>
+                <div className="boxLine">
+                  At <b>{netTable.name}</b> (table {netTable.id}) · {online.status}
+                </div>
+                <div className="onlineSeats">
+                  {netTable.seats.map((p, seat) => (
+                    <div key={seat}>
+                      Seat {seat + 1}: <b>{p.name}</b>
+                      {seat === netTable.seat && " (you)"}
+                      {p.human && !p.connected && <span className="muted"> · offline</span>}
+                    </div>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="muted">
+                  {online.url} · {online.status}
+                </div>
+                {online.lobby.length ? (
+                  <div className="histList">
+                    {online.lobby.map((t) => (
+                      <div key={t.id} className="histHand">
+                        <div>
+                          <b>{t.name}</b> · {t.id} · {t.numSeats} players · {t.phase === "idle" ? "not started" : `score ${t.score.join("–")}`}
+                        </div>
+                        <div className="row">
+                          {t.seats.map((p, seat) =>
+                            p.human ? (
+                              <span key={seat} className="muted">
+                                Seat {seat + 1}: {p.name}
+                              </span>
+                            ) : (
+                              <button
+                                key={seat}
+                                className="tinyBtn"
+                                onClick={() => netRef.current.send({ type: "join", table: t.id, seat })}
+                                type="button"
+                              >
+                                Sit in seat {seat + 1}
+                              </button>
+                            )
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="muted">No tables yet.</div>
+                )}
+                <button
+                  className="btnPrimary"
+                  onClick={() => netRef.current.send({ type: "create", name: names.p0, rules: game.rules })}
+                  type="button"
+                  disabled={online.status !== "online"}
+                >
+                  Open a Table ({game.numSeats} players, your house rules)
+                </button>
+              </>
+            )}
+            {online?.error && <div className="warn">{online.error}</div>}
+
+            <div className="modalBtns">
+              <button className="btnPrimary" onClick={() => setShowOnline(false)} type="button">
+                Close
+              </button>
+              {!online && (
+                <button className="btnGhost" onClick={connectOnline} type="button">
+                  Connect
+                </button>
+              )}
+              {netTable && (
+                <button className="btnGhost" onClick={() => netRef.current.send({ type: "leave" })} type="button">
+                  Leave Table
+                </button>
+              )}
+              {online && (
+                <button className="btnGhost" onClick={disconnectOnline} type="button">
+                  Disconnect
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showStats && (
+        <div className="modalBackdrop" onClick={() => (setShowStats(false), setConfirmReset(false))}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalTitle">Stats</div>
+            {stats.days.length ? (
+              <StatsPanel stats={stats} metric={chartMetric} onMetric={setChartMetric} nameOf={playerName} />
+            ) : (
+              <div className="muted">No hands finished yet. Stats build up as you play.</div>
+            )}
+
+            <div className="modalBtns">
+              <button className="btnPrimary" onClick={() => (setShowStats(false), setConfirmReset(false))} type="button">
+                Close
+              </button>
+              <button className="btnGhost" onClick={resetStats} disabled={!stats.days.length} type="button">
+                {confirmReset ? "Really erase all stats?" : "Reset Stats"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {analysis && (
+        <div className="modalBackdrop" onClick={() => setAnalysis(null)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modalTitle">Hand {analysis.record.number} · Perfect Play</div>
+            <HandAnalysis
+              record={analysis.record}
+              result={analysis.result}
+              nameOf={analysis.names ? (i) => analysis.names[i] : playerName}
+              seats={analysis.seats}
+            />
+            <div className="modalBtns">
+              <button className="btnPrimary" onClick={() => setAnalysis(null)} type="button">
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* SETTINGS MODAL */}
       {showSettings && (
         <div className="modalBackdrop" onClick={() => setShowSettings(false)}>
@@ -1351,35 +1796,244 @@ setCooldown();
 
             <div className="sectionTitle">Player Names</div>
 
+            {SEAT_FIELD_LABELS[game.numSeats].map((label, seat) => (
+              <div className="field" key={seat}>
+                <label>{label}</label>
+                <input
+                  value={names[`p${seat}`]}
+                  onChange={(e) => setNames((n) => ({ ...n, [`p${seat}`]: e.target.value }))}
+                />
+              </div>
+            ))}
+
+            <div className="sectionTitle">Rules</div>
+
+            <div className="field">
+              <label>Players (changing this starts a new game)</label>
+              <select value={game.numSeats} onChange={(e) => changePlayerCount(Number(e.target.value))}>
+                {RULE_CHOICES.players.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="fieldGrid">
+              <div className="field">
+                <label>Play to</label>
+                <select value={game.rules.targetScore} onChange={(e) => updateRules({ targetScore: Number(e.target.value) })}>
+                  {RULE_CHOICES.targetScore.map((n) => (
+                    <option key={n} value={n}>
+                      {n} points
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label>Loner (all 5)</label>
+                <select value={game.rules.lonerPoints} onChange={(e) => updateRules({ lonerPoints: Number(e.target.value) })}>
+                  {RULE_CHOICES.lonerPoints.map((n) => (
+                    <option key={n} value={n}>
+                      {n}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label>March (all 5)</label>
+                <select value={game.rules.marchPoints} onChange={(e) => updateRules({ marchPoints: Number(e.target.value) })}>
+                  {RULE_CHOICES.marchPoints.map((n) => (
+                    <option key={n} value={n}>
+                      {n}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label>Euchre</label>
+                <select value={game.rules.euchrePoints} onChange={(e) => updateRules({ euchrePoints: Number(e.target.value) })}>
+                  {RULE_CHOICES.euchrePoints.map((n) => (
+                    <option key={n} value={n}>
+                      {n}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="field">
+              <label>Deck (applies from the next deal)</label>
+              <select value={game.rules.deck} onChange={(e) => updateRules({ deck: e.target.value })}>
+                {RULE_CHOICES.deck.map((d) => (
+                  <option key={d.value} value={d.value}>
+                    {d.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <label className="toggleRow">
+              <input
+                type="checkbox"
+                checked={game.rules.stickTheDealer}
+                onChange={(e) => updateRules({ stickTheDealer: e.target.checked })}
+              />
+              Stick the dealer (off: redeal when everyone passes twice)
+            </label>
+
+            <label className="toggleRow">
+              <input
+                type="checkbox"
+                checked={game.rules.defendAlone}
+                onChange={(e) => updateRules({ defendAlone: e.target.checked })}
+              />
+              Defenders may defend alone
+            </label>
+            {game.rules.defendAlone && (
+              <div className="field">
+                <label>Euchring a loner while defending alone</label>
+                <select
+                  value={game.rules.defendAlonePoints}
+                  onChange={(e) => updateRules({ defendAlonePoints: Number(e.target.value) })}
+                >
+                  {RULE_CHOICES.defendAlonePoints.map((n) => (
+                    <option key={n} value={n}>
+                      {n} points
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="sectionTitle">Options</div>
+
+            <label className="toggleRow">
+              <input type="checkbox" checked={allowUndo} onChange={(e) => toggleUndo(e.target.checked)} />
+              Allow undo (turn off for “serious” games)
+            </label>
+
             <div className="field">
-              <label>You (bottom)</label>
-              <input value={names.p0} onChange={(e) => setNames((n) => ({ ...n, p0: e.target.value }))} />
+              <label>Game speed</label>
+              <select value={speed} onChange={(e) => setSpeed(e.target.value)}>
+                {Object.entries(SPEEDS).map(([k, { label }]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
             </div>
+
+            <label className="toggleRow">
+              <input type="checkbox" checked={tapToContinue} onChange={(e) => toggleTapToContinue(e.target.checked)} />
+              Tap to continue after each trick
+            </label>
+
             <div className="field">
-              <label>Left</label>
-              <input value={names.p1} onChange={(e) => setNames((n) => ({ ...n, p1: e.target.value }))} />
+              <label>Coach (hints for your bids and plays, from what you can see)</label>
+              <select value={coach} onChange={(e) => setCoach(e.target.value)}>
+                {Object.entries(COACH_LEVELS).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
             </div>
+
+            <label className="toggleRow">
+              <input type="checkbox" checked={showWhy} onChange={(e) => setShowWhy(e.target.checked)} />
+              Explain the bots' bids (a “why?” under each one in the hand log)
+            </label>
+
             <div className="field">
-              <label>Partner (top)</label>
-              <input value={names.p2} onChange={(e) => setNames((n) => ({ ...n, p2: e.target.value }))} />
+              <label>Open-hands training (games played this way don't count in stats)</label>
+              <select value={training} onChange={(e) => changeTraining(e.target.value)} disabled={!!netTable}>
+                {Object.entries(TRAINING_MODES).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
             </div>
+
+            <div className="sectionTitle">Seats</div>
+
+            {SEAT_FIELD_LABELS[game.numSeats].map((label, seat) =>
+              seat === 0 ? null : (
+                <div className="fieldGrid" key={seat}>
+                  <div className="field">
+                    <label>{label.replace(/ \(.*\)/, "")} level</label>
+                    <select
+                      value={seatBots[seat].human ? "human" : seatBots[seat].strategy ?? seatBots[seat].level}
+                      onChange={(e) =>
+                        updateSeatBot(
+                          seat,
+                          e.target.value === "human"
+                            ? { human: true }
+                            : isBuiltInLevel(e.target.value)
+                              ? { level: e.target.value, strategy: null, human: false }
+                              : { strategy: e.target.value, human: false }
+                        )
+                      }
+                    >
+                      <option value="human">Human (pass and play)</option>
+                      {Object.entries(BOT_LEVELS).map(([value, { label }]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                      {registeredStrategies().map((name) => (
+                        <option key={name} value={name}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="field">
+                    <label>Style</label>
+                    <select
+                      value={seatBots[seat].personality}
+                      disabled={!!seatBots[seat].human}
+                      onChange={(e) => updateSeatBot(seat, { personality: e.target.value })}
+                    >
+                      {Object.entries(BOT_PERSONALITIES).map(([value, { label }]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )
+            )}
+
+            <div className="sectionTitle">Deal by Seed</div>
+
             <div className="field">
-              <label>Right</label>
-              <input value={names.p3} onChange={(e) => setNames((n) => ({ ...n, p3: e.target.value }))} />
+              <label>Seed, @ the dealer's seat (current hand: {formatDeal(game.seed, game.dealer)})</label>
+              <input value={seedInput} onChange={(e) => setSeedInput(e.target.value)} placeholder="e.g. 3K9QZ1@2" />
+            </div>
+            <div className="row">
+              <button className="btnGhost" onClick={dealBySeed} disabled={!seedInput.trim() || gameOver} type="button">
+                Deal This Seed
+              </button>
             </div>
 
             <div className="modalBtns">
               <button className="btnPrimary" onClick={() => setShowSettings(false)} type="button">
                 Done
               </button>
-              <button className="btnGhost" onClick={resetEverything} type="button">
+              <button className="btnGhost" onClick={() => resetEverything()} type="button">
                 Restart Game (Reset All)
               </button>
             </div>
 
             <div className="smallPrint">
               Dealer has a “D” chip. Caller shows a trump suit chip. Stars track each player’s own trick wins (not partner),
-              and reset every hand.
+              and reset every hand. A hand’s seed plus the same moves always replays the same hand. In the Joker
+              deck the Joker is always the highest trump; if it is turned up, the dealer names trump and picks it up. In
+              cutthroat everyone plays for themselves and nobody goes alone. Hard and Expert bots think against the clock,
+              so on a busy device they may not replay a seed move for move.
             </div>
           </div>
         </div>
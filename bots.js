@@ -0,0 +1,615 @@
+import {
+  SUITS,
+  rankOrder,
+  sameColor,
+  isRightBower,
+  isLeftBower,
+  isJoker,
+  effectiveSuit,
+  cardPower,
+  legalCards,
+  trickWinnerIndex,
+} from "./engine.js";
+import { strategyAction } from "./strategy.js";
+import { isBoss, couldBeat, mayTrumpIn } from "./cardMemory.js";
+
+/** ---------- AI heuristics ---------- **/
+/** ---------- Bid helper utilities (no cheating) ---------- **/
+export function relSeatToDealer(seat, dealer, numSeats = 4) {
+  const rel = (seat - dealer + numSeats) % numSeats; // 0=dealer, 1=1st, 2=partner dealer, 3=3rd
+  // Cutthroat has no partner seat: the player before the dealer bids like 3rd seat
+  return numSeats === 3 && rel === 2 ? 3 : rel;
+}
+
+function countTrump(hand, trumpSuit, upcard = null, includeUpcard = false) {
+  const cards = includeUpcard && upcard ? [...hand, upcard] : hand;
+  return cards.filter((c) => effectiveSuit(c, trumpSuit) === trumpSuit).length;
+}
+
+function hasRightOrLeftBower(hand, trumpSuit, upcard = null, includeUpcard = false) {
+  const cards = includeUpcard && upcard ? [...hand, upcard] : hand;
+  return cards.some((c) => isJoker(c) || isRightBower(c, trumpSuit) || isLeftBower(c, trumpSuit));
+}
+
+function offsuitPower(hand, trumpSuit) {
+  // quick-and-dirty: A=2, K=1, else 0 (only if not trump by effective suit)
+  let p = 0;
+  for (const c of hand) {
+    if (effectiveSuit(c, trumpSuit) === trumpSuit) continue;
+    if (c.r === "A") p += 2;
+    else if (c.r === "K") p += 1;
+  }
+  return p;
+}
+
+export function isNextSuit(candidateSuit, upcardSuit) {
+  // "Next" = same color, not the upcard suit
+  return candidateSuit !== upcardSuit && sameColor(candidateSuit, upcardSuit);
+}
+
+// Seat-based thresholds tuned to allow "go around" sometimes.
+// You can adjust these later (small changes matter).
+export function thresholdRound1(relSeat) {
+  // 0 dealer, 1 first seat, 2 partner dealer, 3 third seat
+  if (relSeat === 0) return 12.6; // dealer can order lighter (pickup/discard)
+  if (relSeat === 2) return 12.8; // partner dealer can help
+  if (relSeat === 1) return 13.1; // first seat moderate
+  return 13.9; // third seat tight
+}
+
+/** What a round-1 order-up needs from this seat, with the profile's shift */
+export function orderUpThreshold(relSeat, profile = BASE_PROFILE) {
+  let thresh = thresholdRound1(relSeat) + profile.callShift;
+
+  // Keep your original "partner dealer slightly looser / opponent dealer tighter" spirit:
+  // If partner is dealer, encourage ordering; if opponent is dealer, be a touch tighter.
+  // (This is small—seat thresholds handle most of it.)
+  if (relSeat === 2) thresh -= 0.15;
+  return thresh;
+}
+
+export function thresholdRound2(relSeat, nextSuit, mustPick) {
+  if (mustPick) return -Infinity; // must call
+  // Round 2 should be tighter than Round 1 in general, except "Next"
+  let t = nextSuit ? 8.9 : 9.7;
+
+  // third seat should still be tight
+  if (relSeat === 3) t += 0.6;
+
+  // dealer slightly looser (can often manage)
+  if (relSeat === 0) t -= 0.2;
+
+  return t;
+}
+
+/** ---------- Difficulty & personality ----------
+ * A bot's profile nudges the numbers above. The level sets how well it judges
+ * and plays; the personality only changes how readily it calls and goes alone.
+ *   callShift   added to the calling thresholds (negative calls lighter)
+ *   judgeNoise  random error in how strong it thinks its hand is
+ *   borderline  scales the near-the-line pass chance (0 = never second-guess)
+ *   aloneTrump  trump needed, with the boss, to go alone
+ *   mistakeRate chance of a beginner's slip in card play, when the trick offers one (easySlip)
+ *   cardMemory  counts cards and spots voids (cardMemory.js)
+ *   search      Monte Carlo settings for expert.js, or null
+ **/
+export const BOT_LEVELS = {
+  easy: { label: "Easy", judgeNoise: 1.5, mistakeRate: 0.2, cardMemory: false },
+  normal: { label: "Normal" },
+  hard: { label: "Hard", borderline: 0, search: { budgetMs: 40, playOnly: true } },
+  expert: { label: "Expert", borderline: 0, search: { budgetMs: 120 } },
+};
+
+export const BOT_PERSONALITIES = {
+  balanced: { label: "Balanced" },
+  aggressive: { label: "Aggressive caller", callShift: -0.8 },
+  conservative: { label: "Conservative", callShift: 0.8 },
+  lonerHappy: { label: "Loner-happy", aloneTrump: 3 },
+};
+
+const BASE_PROFILE = {
+  callShift: 0,
+  judgeNoise: 0,
+  borderline: 1,
+  aloneTrump: 4,
+  mistakeRate: 0,
+  cardMemory: true,
+  search: null,
+};
+export const DEFAULT_BOT = { level: "normal", personality: "balanced" };
+
+export function botProfile({ level, personality } = DEFAULT_BOT) {
+  const { label: _l, ...lvl } = BOT_LEVELS[level] ?? BOT_LEVELS.normal;
+  const { label: _p, ...pers } = BOT_PERSONALITIES[personality] ?? BOT_PERSONALITIES.balanced;
+  return { ...BASE_PROFILE, ...lvl, ...pers, callShift: (lvl.callShift ?? 0) + (pers.callShift ?? 0) };
+}
+
+/** "Hard", "Easy · Aggressive caller": what the seat header shows */
+export function botLabel({ level, personality } = DEFAULT_BOT) {
+  const lvl = (BOT_LEVELS[level] ?? BOT_LEVELS.normal).label;
+  return personality && personality !== "balanced" ? `${lvl} · ${BOT_PERSONALITIES[personality].label}` : lvl;
+}
+
+// Add human-like variance only near the threshold.
+// If score barely clears, sometimes pass.
+function borderlinePassChance(scoreMinusThresh, relSeat) {
+  // scoreMinusThresh = score - threshold
+  if (scoreMinusThresh >= 1.2) return 0; // clearly strong: never pass
+  if (scoreMinusThresh <= 0) return 1;   // below threshold: always pass
+
+  // between (0, 1.2): pass some % depending on seat
+  // third seat passes more near the line
+  const base = relSeat === 3 ? 0.55 : relSeat === 0 ? 0.25 : 0.35;
+  // closer to threshold => higher pass chance
+  const closeness = 1 - scoreMinusThresh / 1.2; // 1 near threshold, 0 when strong
+  return Math.min(0.85, Math.max(0.05, base * (0.6 + 0.8 * closeness)));
+}
+
+// Easy bots misread their hands: calls and passes they shouldn't have made
+function misjudgement(rng, profile) {
+  return profile.judgeNoise ? (rng() * 2 - 1) * profile.judgeNoise : 0;
+}
+
+export function handStrengthForTrump(hand, trump) {
+  let score = 0;
+
+  // count suits for shape
+  const suitCounts = { "♠": 0, "♥": 0, "♦": 0, "♣": 0 };
+  let trumpCount = 0;
+
+  for (const c of hand) {
+    const eff = effectiveSuit(c, trump);
+    suitCounts[eff] = (suitCounts[eff] ?? 0) + 1;
+
+    if (isJoker(c)) {
+      score += 10.4;
+      trumpCount += 1;
+      continue;
+    }
+    if (isRightBower(c, trump)) {
+      score += 9.2;
+      trumpCount += 1;
+      continue;
+    }
+    if (isLeftBower(c, trump)) {
+      score += 7.4;
+      trumpCount += 1;
+      continue;
+    }
+
+    if (eff === trump) {
+      trumpCount += 1;
+      // stronger non-bower trump than before
+      score += 2.4 + (rankOrder[c.r] ?? 0) * 0.40;
+    } else {
+      // smoother offsuit scale
+      const off = c.r === "A" ? 1.3
+               : c.r === "K" ? 0.7
+               : c.r === "Q" ? 0.4
+               : c.r === "J" ? 0.25
+               : c.r === "10" ? 0.15
+               : 0.10;
+      score += off;
+    }
+  }
+
+  // trump length bonus
+  if (trumpCount === 3) score += 0.8;
+  else if (trumpCount === 4) score += 1.8;
+  else if (trumpCount === 5) score += 3.0;
+
+  // short-suit bonus (excluding trump suit count; we used effective suits so trump is lumped already)
+  // Reward having singletons/voids among non-trump suits.
+  for (const s of SUITS) {
+    if (s === trump) continue;
+    const n = suitCounts[s] ?? 0;
+    if (n === 0) score += 0.9;
+    else if (n === 1) score += 0.5;
+  }
+
+  return score;
+}
+
+/** Dealer-only: evaluate ordering up by considering pickup + best discard.
+ * We assume the dealer will discard the card that maximizes strength for trump.
+ */
+export function dealerBestPickupStrength(hand, upcard, trumpSuit) {
+  const six = [...hand, upcard]; // 6 cards before discard
+  let best = -Infinity;
+
+  for (let i = 0; i < six.length; i++) {
+    const five = six.filter((_, idx) => idx !== i); // discard i
+    const sc = handStrengthForTrump(five, trumpSuit);
+    if (sc > best) best = sc;
+  }
+
+  return best;
+}
+
+
+function bestSuitChoice(hand, forbiddenSuit) {
+  let best = null;
+  let bestScore = -Infinity;
+  for (const s of SUITS) {
+    if (s === forbiddenSuit) continue;
+    const sc = handStrengthForTrump(hand, s);
+    if (sc > bestScore) (bestScore = sc), (best = s);
+  }
+  return { suit: best, score: bestScore };
+}
+
+/** ---------- Bid explanations ----------
+ * The bidding decisions below return what they weighed along with the answer,
+ * for the "why?" rows in the hand log:
+ *   { call, suit, score, threshold, margin, sanity, noise, flipped }
+ *   score     the hand's strength as the bot judged it (noise included)
+ *   threshold what it had to reach (null when it had to call anyway)
+ *   sanity    whether the hand passed the trump-count check that stops silly calls
+ *   noise     how far an Easy bot misread its hand (0 otherwise)
+ *   flipped   randomness (the misread or a near-the-line second guess) changed the answer
+ * shouldGoAlone_STRICT gives the same, with `call` meaning go alone, the trump
+ * count as the score and holding the boss trump as the check.
+ **/
+function explained(call, suit, score, threshold, sanity, noise) {
+  const margin = threshold === null ? null : score - threshold;
+  const clear = sanity && (threshold === null || score - noise >= threshold);
+  return { call, suit, score, threshold, margin, sanity, noise, flipped: call !== clear };
+}
+
+export function shouldOrderUp(hand, upSuit, seat, dealer, upcard, rng, numSeats = 4, profile = BASE_PROFILE) {
+  const rel = relSeatToDealer(seat, dealer, numSeats);
+  const seatIsDealer = rel === 0;
+
+  // Evaluate strength (dealer considers pickup+discard)
+  const noise = misjudgement(rng, profile);
+  const sc = (seatIsDealer ? dealerBestPickupStrength(hand, upcard, upSuit) : handStrengthForTrump(hand, upSuit)) + noise;
+
+  // Basic "sanity gate": stop silly light orders
+  // Allow if: 3+ trump OR bower+2 trump OR decent offsuit support with 2 trump
+  const tc = seatIsDealer
+    ? countTrump(hand, upSuit, upcard, true) // dealer can include upcard for a rough trump count
+    : countTrump(hand, upSuit);
+
+  const hasBower = seatIsDealer
+    ? hasRightOrLeftBower(hand, upSuit, upcard, true)
+    : hasRightOrLeftBower(hand, upSuit);
+
+  const off = offsuitPower(hand, upSuit);
+
+  const passesSanity =
+    tc >= 3 ||
+    (tc >= 2 && hasBower) ||
+    (tc >= 2 && off >= 3) || // e.g., two aces or ace+king
+    (seatIsDealer && tc >= 2); // dealer can justify lighter
+
+  // Seat-based threshold (partner-dealer is slightly looser already via table)
+  const thresh = orderUpThreshold(rel, profile);
+
+  if (!passesSanity) return explained(false, upSuit, sc, thresh, false, noise);
+
+  const margin = sc - thresh;
+
+  // Human-ish randomness near the threshold
+  const passProb = borderlinePassChance(margin, rel) * (margin > 0 ? profile.borderline : 1);
+  if (rng() < passProb) return explained(false, upSuit, sc, thresh, true, noise);
+
+  return explained(margin >= 0, upSuit, sc, thresh, true, noise);
+}
+
+export function shouldCallSuitRound2(
+  hand,
+  forbiddenSuit,
+  mustPick,
+  seat,
+  dealer,
+  upcard,
+  rng,
+  numSeats = 4,
+  profile = BASE_PROFILE
+) {
+  const rel = relSeatToDealer(seat, dealer, numSeats);
+
+  const best = bestSuitChoice(hand, forbiddenSuit);
+  const { suit } = best;
+  const noise = misjudgement(rng, profile);
+  const score = best.score + noise;
+
+  if (!suit) return explained(false, null, -Infinity, null, false, noise);
+
+  if (mustPick) return explained(true, suit, score, null, true, noise);
+
+  const nextSuit = isNextSuit(suit, upcard.s);
+  const thresh = thresholdRound2(rel, nextSuit, mustPick) + profile.callShift;
+
+  const tc = countTrump(hand, suit);
+  const hasBower = hasRightOrLeftBower(hand, suit);
+  const off = offsuitPower(hand, suit);
+
+  // Sanity gates (prevents nonsense calls):
+  // - third seat: require real power
+  // - non-next: require stronger structure
+  if (rel === 3) {
+    const okThird =
+      tc >= 3 ||
+      (tc >= 2 && hasBower) ||
+      (hasBower && off >= 2); // bower + an ace is acceptable
+    if (!okThird) return explained(false, suit, score, thresh, false, noise);
+  }
+
+  if (!nextSuit) {
+    const okNonNext =
+      tc >= 3 ||
+      (tc >= 2 && hasBower) ||
+      (tc >= 2 && off >= 4); // need more outside help if no bower
+    if (!okNonNext) return explained(false, suit, score, thresh, false, noise);
+  } else {
+    // "Next" can be a little lighter, but still avoid total trash
+    const okNext = tc >= 2 || off >= 4 || hasBower;
+    if (!okNext) return explained(false, suit, score, thresh, false, noise);
+  }
+
+  const margin = score - thresh;
+
+  const passProb = borderlinePassChance(margin, rel) * (margin > 0 ? profile.borderline : 1);
+  if (rng() < passProb) return explained(false, suit, score, thresh, true, noise);
+
+  return explained(margin >= 0, suit, score, thresh, true, noise);
+}
+
+/** Stricter loner heuristic (rare) */
+export function shouldGoAlone_STRICT(hand, trump, seatIsDealer, upcard, orderedUpRound1, minTrump = 4) {
+  // Count trump in the *final* dealer hand if they are picking up.
+  const willPickUp = orderedUpRound1 && seatIsDealer; // dealer picks up only in round 1 order-up
+
+  const effectiveTrumpCount =
+    hand.filter((c) => effectiveSuit(c, trump) === trump).length + (willPickUp ? 1 : 0);
+
+  // The Joker outranks the Right Bower, so it counts as the boss trump too
+  const isBoss = (c) => isJoker(c) || isRightBower(c, trump);
+  const hasRBInHand = hand.some(isBoss);
+  const hasRBUpcard = willPickUp && upcard && isBoss(upcard);
+
+  const hasRightBower = hasRBInHand || hasRBUpcard;
+
+  // Require Right Bower (or Joker) AND 4 trump total (fewer for loner-happy bots), with pickup counting for dealer
+  return explained(hasRightBower && effectiveTrumpCount >= minTrump, trump, effectiveTrumpCount, minTrump, hasRightBower, 0);
+}
+
+
+/** Defending alone only pays off against a loner (the euchre bonus), and
+ * needs about two sure stoppers of your own: real trump or a bower plus an ace.
+ */
+export function shouldDefendAlone(hand, trump, makerIsAlone) {
+  if (!makerIsAlone) return false;
+  const tc = countTrump(hand, trump);
+  const hasBower = hasRightOrLeftBower(hand, trump);
+  const aces = hand.filter((c) => c.r === "A" && effectiveSuit(c, trump) !== trump).length;
+  return (tc >= 3 && hasBower) || (tc >= 2 && hasBower && aces >= 1) || handStrengthForTrump(hand, trump) >= 16;
+}
+
+/** Play a card. `memory` (see cardMemory.js) lets the bot count cards: it leads winners that are
+ * already established, keeps away from suits an opponent has shown out of, and doesn't spend a
+ * winner on a trick its partner already has. Without it the bot only sees its hand and the trick.
+ */
+export function choosePlayCardAI(
+  hand,
+  trump,
+  trick,
+  seat,
+  { activeCount = 4, allies = [], opponents = [], yetToPlay = [], memory = null } = {}
+) {
+  const leadSuit = trick.length ? effectiveSuit(trick[0].card, trump) : null;
+  const legal = legalCards(hand, trump, leadSuit);
+
+  if (!leadSuit) {
+    // lead: try to take control only if you have strong trump (and someone may still hold some)
+    const trumpCards = legal.filter((c) => effectiveSuit(c, trump) === trump);
+    const hasTopTrump = trumpCards.some((c) => isJoker(c) || isRightBower(c, trump) || isLeftBower(c, trump) || c.r === "A");
+    const trumpOutstanding = !memory || opponents.some((p) => !memory.voids[p].has(trump));
+    if (hasTopTrump && trumpCards.length && trumpOutstanding) {
+      let best = trumpCards[0];
+      let bestP = -1;
+      for (const c of trumpCards) {
+        const p = cardPower(c, trump, trump);
+        if (p > bestP) (bestP = p), (best = c);
+      }
+      return best;
+    }
+
+    // don't lead a side suit into an opponent who is out of it and may trump
+    const safe = (c) => !memory || !opponents.some((p) => mayTrumpIn(memory, p, effectiveSuit(c, trump), trump));
+
+    if (memory) {
+      // established winners: nothing unseen outranks them (a king once its ace is gone, etc.)
+      const winners = legal.filter((c) => isBoss(memory, c, trump) && safe(c));
+      const side = winners.filter((c) => effectiveSuit(c, trump) !== trump);
+      if (side.length) return side[0];
+      if (winners.length) return winners[0];
+    }
+
+    const sideAces = legal.filter((c) => c.r === "A" && effectiveSuit(c, trump) !== trump && safe(c));
+    if (sideAces.length) return sideAces[0];
+
+    // otherwise dump lowest, preferring suits nobody is known to trump
+    const pool = legal.filter(safe).length ? legal.filter(safe) : legal;
+    let pick = pool[0];
+    let best = Infinity;
+    for (const c of pool) {
+      const p = cardPower(c, trump, effectiveSuit(c, trump));
+      if (p < best) (best = p), (pick = c);
+    }
+    return pick;
+  }
+
+  // --- RULE: If partner already has the trick, do NOT waste trump or a winner on it.
+  // Without card memory that is only certain when you are last to act and partner won without trump.
+  // Dump lowest non-trump if possible; otherwise dump lowest legal.
+  const winning = trick[trickWinnerIndex(trick, trump)];
+  const partnerHasIt =
+    allies.includes(winning.player) &&
+    (memory
+      ? !yetToPlay.some((p) => !allies.includes(p) && couldBeat(memory, p, winning.card, trump, leadSuit))
+      : trick.length === activeCount - 1 && effectiveSuit(winning.card, trump) !== trump);
+
+  if (partnerHasIt) {
+    const nonTrumpLegal = legal.filter((c) => effectiveSuit(c, trump) !== trump);
+
+    // pick lowest non-trump legal if possible
+    const pool = nonTrumpLegal.length ? nonTrumpLegal : legal;
+
+    let pick = pool[0];
+    let best = Infinity;
+    for (const c of pool) {
+      const p = cardPower(c, trump, leadSuit);
+      if (p < best) (best = p), (pick = c);
+    }
+    return pick;
+  }
+
+  // follow: win if cheap (with a card the players still to come can't beat, if we know of one); else dump
+  const lead = leadSuit;
+  const currentWinningPow = cardPower(winning.card, trump, lead);
+
+  const winners = [];
+  for (const c of legal) {
+    const pow = cardPower(c, trump, lead);
+    if (pow > currentWinningPow) winners.push({ c, pow });
+  }
+  if (winners.length) {
+    winners.sort((a, b) => a.pow - b.pow);
+    if (memory) {
+      const holds = winners.find(({ c }) => !yetToPlay.some((p) => !allies.includes(p) && couldBeat(memory, p, c, trump, lead)));
+      if (holds) return holds.c;
+    }
+    return winners[0].c;
+  }
+
+  let pick = legal[0];
+  let best = Infinity;
+  for (const c of legal) {
+    const pow = cardPower(c, trump, lead);
+    const eff = effectiveSuit(c, trump);
+    const dumpScore = eff === trump ? pow + 50 : pow;
+    if (dumpScore < best) (best = dumpScore), (pick = c);
+  }
+  return pick;
+}
+
+/** An Easy bot's slip, if the trick offers one: leading a low trump away from a bower,
+ * overtrumping a partner who already has the trick, or leading something else
+ * while holding an ace it should cash. Null when none fits; then it plays normally.
+ */
+function easySlip(legal, trump, trick, allies, rng) {
+  const pow = (c, lead) => cardPower(c, trump, lead ?? effectiveSuit(c, trump));
+  const lowest = (cards, lead) => cards.reduce((a, b) => (pow(b, lead) < pow(a, lead) ? b : a));
+  const slips = [];
+
+  if (!trick.length) {
+    const trumps = legal.filter((c) => effectiveSuit(c, trump) === trump);
+    const bower = trumps.some((c) => isRightBower(c, trump) || isLeftBower(c, trump));
+    const small = trumps.filter((c) => !isJoker(c) && !isRightBower(c, trump) && !isLeftBower(c, trump));
+    if (bower && small.length) slips.push(lowest(small));
+
+    const aces = legal.filter((c) => c.r === "A" && effectiveSuit(c, trump) !== trump);
+    const others = legal.filter((c) => c.r !== "A" && effectiveSuit(c, trump) !== trump);
+    if (aces.length && others.length) slips.push(lowest(others));
+  } else {
+    const lead = effectiveSuit(trick[0].card, trump);
+    const winning = trick[trickWinnerIndex(trick, trump)];
+    const over = legal.filter(
+      (c) => effectiveSuit(c, trump) === trump && cardPower(c, trump, lead) > cardPower(winning.card, trump, lead)
+    );
+    if (allies.includes(winning.player) && over.length) slips.push(lowest(over, lead));
+  }
+  return slips.length ? slips[Math.floor(rng() * slips.length)] : null;
+}
+
+/** Dealer discard after pickup: lowest non-trump, else lowest trump */
+export function chooseDealerDiscard(hand, upcard, trump) {
+  const t = trump;
+  const tempHand = [...hand, upcard];
+
+  let discard = tempHand[0];
+  let worst = Infinity;
+  for (const c of tempHand) {
+    const val = cardPower(c, t, t);
+    const eff = effectiveSuit(c, t);
+    const dscore = eff === t ? val + 50 : val;
+    if (dscore < worst) (worst = dscore), (discard = c);
+  }
+  return discard;
+}
+
+/** ---------- The built-in strategy ----------
+ * The heuristics above behind the strategy contract in strategy.js.
+ * `profile` comes from botProfile(); search levels live in expert.js.
+ **/
+export function heuristicStrategy(profile = BASE_PROFILE, name = "heuristic") {
+  return {
+    name,
+
+    decideBid1({ hand, upcard, seat, dealer, numSeats, rng }) {
+      return shouldOrderUp(hand, upcard.s, seat, dealer, upcard, rng, numSeats, profile).call;
+    },
+
+    decideBid2({ hand, upcard, seat, dealer, numSeats, rng, mustCall }) {
+      if (isJoker(upcard)) {
+        // Turned-up Joker: the dealer names trump knowing they will pick the Joker up
+        let suit = SUITS[0];
+        let best = -Infinity;
+        for (const s of SUITS) {
+          const sc = dealerBestPickupStrength(hand, upcard, s);
+          if (sc > best) (best = sc), (suit = s);
+        }
+        return suit;
+      }
+      const res = shouldCallSuitRound2(hand, upcard.s, mustCall, seat, dealer, upcard, rng, numSeats, profile);
+      return res.call ? res.suit : null;
+    },
+
+    decideAlone({ phase, call, hand, trump, upcard, seat, dealer, alonePlayer }) {
+      if (phase === "defend_alone") return shouldDefendAlone(hand, trump, alonePlayer !== null);
+      // the dealer picks up in round 1, and when a Joker was turned up
+      const picksUp = seat === dealer && (call.round === 1 || isJoker(upcard));
+      return shouldGoAlone_STRICT(hand, call.suit, seat === dealer, upcard, picksUp, profile.aloneTrump).call;
+    },
+
+    chooseDiscard({ hand, upcard, trump }) {
+      return chooseDealerDiscard(hand, upcard, trump);
+    },
+
+    // the same calls decideBid1/decideBid2 and decideAlone make, with what they weighed (a fresh view, same draws)
+    explainBid({ phase, hand, upcard, seat, dealer, numSeats, rng, mustCall, canGoAlone }) {
+      if (phase !== "bid1" && (phase !== "bid2" || isJoker(upcard))) return null;
+      const bid =
+        phase === "bid1"
+          ? shouldOrderUp(hand, upcard.s, seat, dealer, upcard, rng, numSeats, profile)
+          : shouldCallSuitRound2(hand, upcard.s, mustCall, seat, dealer, upcard, rng, numSeats, profile);
+      const picksUp = phase === "bid1" && seat === dealer;
+      const alone =
+        bid.call && canGoAlone ? shouldGoAlone_STRICT(hand, bid.suit, seat === dealer, upcard, picksUp, profile.aloneTrump) : null;
+      return { bid, alone };
+    },
+
+    choosePlay({ hand, trump, trick, seat, legal, active, allies, opponents, yetToPlay, rng, memory }) {
+      if (rng() < profile.mistakeRate) {
+        const slip = easySlip(legal, trump, trick, allies, rng);
+        if (slip) return slip;
+      }
+      return choosePlayCardAI(hand, trump, trick, seat, {
+        activeCount: active.length,
+        allies,
+        opponents,
+        yetToPlay,
+        memory: profile.cardMemory ? memory : null,
+      });
+    },
+  };
+}
+
+const DEFAULT_STRATEGY = heuristicStrategy();
+
+/** The action the heuristic bot due to act takes, or null if nothing is due */
+export function chooseBotAction(state, profile = BASE_PROFILE) {
+  return strategyAction(profile === BASE_PROFILE ? DEFAULT_STRATEGY : heuristicStrategy(profile), state);
+}
@@ -0,0 +1,60 @@
+import { makeDeck, cardKey, isJoker, effectiveSuit, cardPower } from "./engine.js";
+
+/** ---------- Card memory ----------
+ * What one seat can know about the hand so far, rebuilt from the hand's log:
+ * every card played, who has shown out of which suit, and which cards are
+ * still unseen. Only public information (plus the seat's own hand and, for
+ * the dealer, its own discard) goes in, so bots using it don't cheat.
+ **/
+export function buildCardMemory(state, seat) {
+  const { trump, upcard, dealer, log, numSeats } = state;
+  const played = new Set();
+  const voids = Array.from({ length: numSeats }, () => new Set());
+  const known = new Set(state.hands[seat].map(cardKey));
+
+  let leadSuit = null;
+  let pickedUp = isJoker(upcard); // a turned-up Joker always goes to the dealer
+  let satOut = false; // a lone maker's partner dealt and never took the upcard
+  for (const e of log) {
+    if (e.type === "orderUp") pickedUp = true;
+    else if (e.type === "dealerSitsOut") satOut = true;
+    else if (e.type === "discard" && seat === dealer) known.add(cardKey(e.card));
+    else if (e.type === "play") {
+      played.add(cardKey(e.card));
+      const suit = effectiveSuit(e.card, trump);
+      if (leadSuit === null) leadSuit = suit;
+      else if (suit !== leadSuit) voids[e.player].add(leadSuit);
+    } else if (e.type === "trick") leadSuit = null;
+  }
+  // a turned-down (or never taken) upcard is out of play for the whole hand
+  if (upcard && (!pickedUp || satOut)) known.add(cardKey(upcard));
+
+  // the deck actually dealt: a rule changed mid-hand only applies from the next deal
+  const unseen = makeDeck(state.deck).filter((c) => !played.has(cardKey(c)) && !known.has(cardKey(c)));
+  return { played, voids, unseen };
+}
+
+/** No unseen card of the same suit outranks `card` */
+export function isBoss(memory, card, trump) {
+  const suit = effectiveSuit(card, trump);
+  const pow = cardPower(card, trump, suit);
+  return !memory.unseen.some((c) => effectiveSuit(c, trump) === suit && cardPower(c, trump, suit) > pow);
+}
+
+/** Whether `player` might still hold a card that beats `card` in a trick led in `leadSuit` */
+export function couldBeat(memory, player, card, trump, leadSuit) {
+  const void_ = memory.voids[player];
+  const pow = cardPower(card, trump, leadSuit);
+  return memory.unseen.some((c) => {
+    if (cardPower(c, trump, leadSuit) <= pow) return false;
+    const suit = effectiveSuit(c, trump);
+    if (void_.has(suit)) return false;
+    // trumping in needs a void in the led suit, which we can't rule out unless they followed it
+    return suit === leadSuit || suit === trump;
+  });
+}
+
+/** Leading `suit` (not trump) risks `player` trumping in: they are out of it but may hold trump */
+export function mayTrumpIn(memory, player, suit, trump) {
+  return suit !== trump && memory.voids[player].has(suit) && !memory.voids[player].has(trump);
+}
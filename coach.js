@@ -0,0 +1,223 @@
+import { SUITS, isJoker, effectiveSuit, cardPower, cardLabel, trickWinnerIndex } from "./engine.js";
+import {
+  relSeatToDealer,
+  handStrengthForTrump,
+  dealerBestPickupStrength,
+  orderUpThreshold,
+  thresholdRound2,
+  isNextSuit,
+  shouldOrderUp,
+  shouldCallSuitRound2,
+  shouldGoAlone_STRICT,
+  shouldDefendAlone,
+  chooseDealerDiscard,
+  choosePlayCardAI,
+  botProfile,
+  DEFAULT_BOT,
+} from "./bots.js";
+import { isBoss } from "./cardMemory.js";
+import { expertStrategy } from "./expert.js";
+
+/** ---------- Coach (hints for your seat) ----------
+ * Advice worked out from a playerView() of your seat, so it only knows what
+ * you can see. Bidding advice is the Normal bot's judgement without its
+ * near-the-line second guessing; card play comes from the Normal bot or, at
+ * the "search" level, from the Hard bot's sampled playouts.
+ *
+ *   coachAdvice(view, level) -> { advice, strengths?, card? } or null
+ *     strengths: [{ suit, score, need }] for the suits you could make trump
+ *     card:      the card to play or discard
+ **/
+export const COACH_LEVELS = {
+  off: "Off",
+  normal: "On",
+  search: "On, searching card play (slower)",
+};
+
+const SEAT_WORDS = {
+  0: "as dealer",
+  1: "in first seat",
+  2: "as the dealer's partner",
+  3: "in last seat",
+};
+
+// the coach's bids never pass a hand that clears the line
+const noSecondGuess = () => 1;
+const round = (n) => Math.round(n * 10) / 10;
+
+export function coachAdvice(view, level = "normal") {
+  switch (view.phase) {
+    case "bid1":
+      return bid1Advice(view);
+    case "bid2":
+      return bid2Advice(view);
+    case "defend_alone":
+      return shouldDefendAlone(view.hand, view.trump, view.alonePlayer !== null)
+        ? { advice: "Defend alone: you have the trump to stop the loner by yourself." }
+        : { advice: "Let your partner help: you don't have the stoppers to defend alone." };
+    case "dealer_discard":
+      return discardAdvice(view);
+    case "playing":
+      return playAdvice(view, level);
+    default:
+      return null;
+  }
+}
+
+// the upcard's suit as trump: what the hand rates (the dealer's with the pickup) and what it needs
+function bid1Strengths({ hand, upcard, seat, dealer, numSeats }, profile) {
+  const rel = relSeatToDealer(seat, dealer, numSeats);
+  const suit = upcard.s;
+  const score = rel === 0 ? dealerBestPickupStrength(hand, upcard, suit) : handStrengthForTrump(hand, suit);
+  return [{ suit, score: round(score), need: round(orderUpThreshold(rel, profile)) }];
+}
+
+// every suit that can still be called; no line to clear when you have to call anyway
+function bid2Strengths({ hand, upcard, seat, dealer, numSeats, forbiddenSuit, mustCall }, profile) {
+  const rel = relSeatToDealer(seat, dealer, numSeats);
+  const jokerUp = isJoker(upcard);
+  return SUITS.filter((s) => s !== forbiddenSuit).map((suit) => {
+    const score = jokerUp ? dealerBestPickupStrength(hand, upcard, suit) : handStrengthForTrump(hand, suit);
+    const need = jokerUp || mustCall ? null : round(thresholdRound2(rel, isNextSuit(suit, upcard.s), false) + profile.callShift);
+    return { suit, score: round(score), need };
+  });
+}
+
+function bid1Advice(view) {
+  const { hand, upcard, seat, dealer, numSeats, canGoAlone } = view;
+  const rel = relSeatToDealer(seat, dealer, numSeats);
+  const suit = upcard.s;
+  const strengths = bid1Strengths(view, botProfile(DEFAULT_BOT));
+  const { score, need } = strengths[0];
+  const pickup = rel === 0 ? " with the pickup" : "";
+
+  if (!shouldOrderUp(hand, suit, seat, dealer, upcard, noSecondGuess, numSeats).call) {
+    const why =
+      score >= need
+        ? `it rates ${score}${pickup}, but without more trump that is too thin to call`
+        : `it rates ${score}${pickup}, short of the ${need} you want ${SEAT_WORDS[rel]}`;
+    return { strengths, advice: `Pass: ${why}.` };
+  }
+  const alone = canGoAlone && shouldGoAlone_STRICT(hand, suit, rel === 0, upcard, rel === 0).call;
+  return {
+    strengths,
+    advice: `Order up ${suit}${alone ? " and go alone" : ""}: it rates ${score}${pickup}, ` +
+      `over the ${need} you want ${SEAT_WORDS[rel]}.`,
+  };
+}
+
+function bid2Advice(view) {
+  const { hand, upcard, seat, dealer, numSeats, forbiddenSuit, mustCall, canGoAlone } = view;
+  const rel = relSeatToDealer(seat, dealer, numSeats);
+  const jokerUp = isJoker(upcard);
+  const strengths = bid2Strengths(view, botProfile(DEFAULT_BOT));
+  const best = strengths.reduce((a, b) => (b.score > a.score ? b : a));
+
+  if (jokerUp || mustCall) {
+    const why = jokerUp ? "The Joker is yours, so name the suit it helps most" : "You're stuck with it, so call your strongest suit";
+    return { strengths, advice: `${why}: ${best.suit} (${best.score}).` };
+  }
+
+  const res = shouldCallSuitRound2(hand, forbiddenSuit, false, seat, dealer, upcard, noSecondGuess, numSeats);
+  const suit = res.suit ?? best.suit;
+  const row = strengths.find((s) => s.suit === suit);
+  if (!res.call) {
+    const why = row.score >= row.need ? "too few trump to back it up" : `short of the ${row.need} you want ${SEAT_WORDS[rel]}`;
+    return { strengths, advice: `Pass: your best suit is ${suit} at ${row.score}, ${why}.` };
+  }
+  const alone = canGoAlone && shouldGoAlone_STRICT(hand, suit, rel === 0, upcard, false).call;
+  return {
+    strengths,
+    advice: `Call ${suit}${alone ? " and go alone" : ""}: it rates ${row.score}, over the ${row.need} you want ${SEAT_WORDS[rel]}.`,
+  };
+}
+
+function discardAdvice({ hand, upcard, trump }) {
+  const card = chooseDealerDiscard(hand, upcard, trump);
+  return { card, advice: `Discard ${cardLabel(card)}: ${discardReason(card, trump)}.` };
+}
+
+function discardReason(card, trump) {
+  return effectiveSuit(card, trump) === trump
+    ? "every card is trump, so let the lowest one go"
+    : "throw away a side card and keep all your trump";
+}
+
+/** ---------- Training overlays ----------
+ * What a bot seat is weighing, for open-hands training: while bidding, its
+ * hand strength against the line its profile (botProfile) sets; during play,
+ * the card the heuristic play (choosePlayCardAI) settles on and why. Search
+ * and custom strategies may still play something else.
+ *
+ *   botInsight(view, profile) -> { strengths?, card?, reason? } or null
+ **/
+export function botInsight(view, profile = botProfile(DEFAULT_BOT)) {
+  switch (view.phase) {
+    case "bid1":
+      return { strengths: bid1Strengths(view, profile) };
+    case "bid2":
+      return { strengths: bid2Strengths(view, profile) };
+    case "dealer_discard": {
+      const card = chooseDealerDiscard(view.hand, view.upcard, view.trump);
+      return { card, reason: discardReason(card, view.trump) };
+    }
+    case "playing": {
+      const { hand, trump, trick, seat, legal, active, allies, opponents, yetToPlay, memory } = view;
+      if (!legal.length) return null;
+      const card = choosePlayCardAI(hand, trump, trick, seat, {
+        activeCount: active.length,
+        allies,
+        opponents,
+        yetToPlay,
+        memory: profile.cardMemory ? memory : null,
+      });
+      return { card, reason: playReason(view, card, "normal") };
+    }
+    default:
+      return null;
+  }
+}
+
+function playAdvice(view, level) {
+  const { hand, trump, trick, seat, legal, active, allies, opponents, yetToPlay, memory } = view;
+  if (view.phase !== "playing" || !legal.length) return null;
+
+  const card =
+    level === "search"
+      ? searchCoach().choosePlay(view)
+      : choosePlayCardAI(hand, trump, trick, seat, { activeCount: active.length, allies, opponents, yetToPlay, memory });
+  return { card, advice: `Play ${cardLabel(card)}: ${playReason(view, card, level)}.` };
+}
+
+let searcher = null;
+function searchCoach() {
+  return (searcher ??= expertStrategy({ budgetMs: 80, playOnly: true, profile: botProfile({ level: "hard" }), name: "coach" }));
+}
+
+function playReason({ trump, trick, legal, allies, memory }, card, level) {
+  if (legal.length === 1) return "it is your only legal card";
+  const suit = effectiveSuit(card, trump);
+
+  if (!trick.length) {
+    if (suit === trump) return "lead trump to draw out everyone else's";
+    if (isBoss(memory, card, trump)) return "nothing left unplayed beats it, so it should take the trick";
+    if (card.r === "A") return "cash your ace before that suit gets trumped";
+    if (level === "search") return "it came out best over the deals you could be facing";
+    return "lead low and keep your winners for later";
+  }
+
+  const lead = effectiveSuit(trick[0].card, trump);
+  const winning = trick[trickWinnerIndex(trick, trump)];
+  const beats = cardPower(card, trump, lead) > cardPower(winning.card, trump, lead);
+  if (beats) {
+    if (suit === trump && lead !== trump) return "you are out of the suit led, so trump in";
+    const cheaper = legal.some((c) => {
+      const pow = cardPower(c, trump, lead);
+      return pow > cardPower(winning.card, trump, lead) && pow < cardPower(card, trump, lead);
+    });
+    return cheaper ? "a lower card would win for now, but this one should hold the trick" : "it is the cheapest card that takes the trick";
+  }
+  if (level === "search") return "it came out best over the deals you could be facing";
+  if (allies.includes(winning.player)) return "your partner has this trick, so don't spend a good card on it";
+  return "you can't win this trick, so hold on to your better cards";
+}
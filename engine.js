@@ -0,0 +1,514 @@
+/** ---------- Euchre rules engine (no React, no timers) ----------
+ * The whole game lives in one plain state object. `applyAction(state, action)`
+ * returns `{ state, events }`: the next state plus what happened, in order.
+ * Illegal actions return the same state object and no events.
+ * Every hand is dealt from `state.seed`, so a seed plus the same moves
+ * always replays the same hand. Scoring, bidding and game-over read
+ * `state.rules` (see rules.js). Seats run clockwise from 0; a game has
+ * four seats in fixed partnerships, or three playing cutthroat.
+ *
+ * Phases: idle, bid1, dealer_discard, bid2, defend_alone, playing, hand_over
+ * Actions:
+ *   { type: "deal", seed?, dealer?, redeal? }
+ *   { type: "pass", player }
+ *   { type: "orderUp", player, alone }
+ *   { type: "callSuit", player, suit, alone }
+ *   { type: "defendAlone", player }   (pass declines it)
+ *   { type: "discard", player, card }
+ *   { type: "play", player, card }
+ **/
+
+import { mulberry32, mixSeed, randomSeed } from "./rng.js";
+import { normalizeRules } from "./rules.js";
+import { handRecord } from "./history.js";
+
+/** ---------- Constants & helpers ---------- **/
+export const SUITS = ["♠", "♥", "♦", "♣"];
+export const SUIT_NAMES = { "♠": "Spades", "♥": "Hearts", "♦": "Diamonds", "♣": "Clubs" };
+export const RANKS = ["9", "10", "J", "Q", "K", "A"];
+export const rankOrder = { A: 6, K: 5, Q: 4, J: 3, "10": 2, "9": 1 };
+
+// Joker ("Benny") deck only: the highest trump, whatever trump is
+export const JOKER = { r: "Jkr", s: "★" };
+
+export const isRedSuit = (s) => s === "♥" || s === "♦";
+export const sameColor = (a, b) => isRedSuit(a) === isRedSuit(b);
+
+export function makeDeck(variant = "standard") {
+  const deck = [];
+  for (const s of SUITS) for (const r of RANKS) deck.push({ s, r });
+  if (variant === "joker") deck.push({ ...JOKER });
+  return deck;
+}
+export function shuffle(arr, rng) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+export function cardKey(c) {
+  return `${c.r}${c.s}`;
+}
+export function sameCard(a, b) {
+  return a.r === b.r && a.s === b.s;
+}
+export function isJoker(c) {
+  return c.r === JOKER.r;
+}
+export function cardLabel(c) {
+  return isJoker(c) ? "Joker" : `${c.r}${c.s}`;
+}
+
+export function isRightBower(c, trump) {
+  return c.r === "J" && c.s === trump;
+}
+export function isLeftBower(c, trump) {
+  return c.r === "J" && c.s !== trump && sameColor(c.s, trump);
+}
+export function effectiveSuit(c, trump) {
+  if (!trump) return c.s;
+  if (isJoker(c) || isRightBower(c, trump) || isLeftBower(c, trump)) return trump;
+  return c.s;
+}
+export function cardPower(c, trump, leadSuit) {
+  if (trump) {
+    if (isJoker(c)) return 210;
+    if (isRightBower(c, trump)) return 200;
+    if (isLeftBower(c, trump)) return 190;
+  }
+  const eff = effectiveSuit(c, trump);
+  const isTrump = trump && eff === trump;
+  const followsLead = leadSuit && eff === leadSuit;
+
+  if (leadSuit && !isTrump && !followsLead) return 0;
+
+  const base = rankOrder[c.r] ?? 0;
+  return (isTrump ? 100 : 50) + base;
+}
+
+export function dealHand(seed, variant = "standard", numSeats = 4) {
+  const deck = shuffle(makeDeck(variant), mulberry32(seed));
+  const hands = Array.from({ length: numSeats }, () => []);
+  let idx = 0;
+  for (let i = 0; i < numSeats * 5; i++) {
+    hands[idx].push(deck.pop());
+    idx = (idx + 1) % numSeats;
+  }
+  const upcard = deck.pop();
+  return { hands, upcard, kitty: deck };
+}
+
+export function legalCards(hand, trump, leadSuit) {
+  if (!leadSuit) return hand;
+  const follows = hand.filter((c) => effectiveSuit(c, trump) === leadSuit);
+  return follows.length ? follows : hand;
+}
+
+/** Index into `trick` of the card currently winning it. */
+export function trickWinnerIndex(trick, trump) {
+  const lead = effectiveSuit(trick[0].card, trump);
+  let bestIdx = 0;
+  let bestPow = -1;
+  for (let i = 0; i < trick.length; i++) {
+    const pow = cardPower(trick[i].card, trump, lead);
+    if (pow > bestPow) (bestPow = pow), (bestIdx = i);
+  }
+  return bestIdx;
+}
+
+/** Sort your hand once trump is known:
+ * - trump far right (higher further right)
+ * - same-color non-trump next right
+ * - others grouped; higher to right
+ */
+export function sortHandForTrump(hand, trump) {
+  if (!trump) return hand;
+
+  const suitIndex = (s) => SUITS.indexOf(s);
+
+  const valueWithinSuit = (c) => {
+    const eff = effectiveSuit(c, trump);
+    return cardPower(c, trump, eff);
+  };
+
+  const sortKey = (c) => {
+    const eff = effectiveSuit(c, trump);
+    const cat = eff === trump ? 3 : sameColor(eff, trump) ? 2 : 1;
+    const suitGroup = suitIndex(eff);
+    const val = valueWithinSuit(c);
+    return cat * 1000 + suitGroup * 100 + val; // bigger ends up on right
+  };
+
+  return [...hand].sort((a, b) => sortKey(a) - sortKey(b));
+}
+
+/** ---------- Seats & teams ----------
+ * Partners (4 seats): seats 0 & 2 against 1 & 3. Cutthroat (3 seats): every
+ * player is their own team and scores alone; for one hand the maker plays
+ * against the other two.
+ **/
+export function isCutthroat(state) {
+  return state.numSeats === 3;
+}
+export function teamOf(state, p) {
+  return isCutthroat(state) ? p : p % 2;
+}
+export function teamCount(state) {
+  return isCutthroat(state) ? state.numSeats : 2;
+}
+export function teamSeats(state, team) {
+  return isCutthroat(state) ? [team] : [team, team + 2];
+}
+/** Null in cutthroat: nobody has a partner, so nobody can go alone */
+export function partnerOf(state, p) {
+  return isCutthroat(state) ? null : (p + 2) % 4;
+}
+/** Whether `a` and `b` are on the same side for the current hand */
+export function isAlly(state, a, b) {
+  if (a === b) return true;
+  if (!isCutthroat(state)) return teamOf(state, a) === teamOf(state, b);
+  return state.maker !== null && a !== state.maker && b !== state.maker;
+}
+
+/** ---------- Game state ---------- **/
+export const PHASES = ["idle", "bid1", "dealer_discard", "bid2", "defend_alone", "playing", "hand_over"];
+
+export function createGame({ dealer = 0, seed = randomSeed(), rules, training = false } = {}) {
+  const r = normalizeRules(rules);
+  const numSeats = r.players === 3 ? 3 : 4;
+  const teams = numSeats === 3 ? 3 : 2;
+  return {
+    id: randomSeed(), // tells one game from another (stats count each of its hands once)
+    phase: "idle",
+    rules: { ...r, players: numSeats },
+    numSeats, // fixed for the whole game
+    seed, // current hand's seed (the next one to deal while idle)
+    dealer,
+    turn: 0,
+    hands: Array.from({ length: numSeats }, () => []),
+    deck: r.deck, // the deck this hand was dealt from (rules.deck applies from the next deal)
+    upcard: null,
+    trump: null,
+    maker: null,
+    makerTeam: null,
+    alonePlayer: null,
+    defenderAlone: null,
+    forcedDealerPick: false,
+    trick: [], // {player, card}
+    lastTrick: null, // {cards, winner}
+    tricksWonTeam: Array(teams).fill(0),
+    tricksWonPlayer: Array(numSeats).fill(0),
+    tricksCompleted: 0,
+    score: Array(teams).fill(0),
+    log: [], // every event of the current hand
+    dealt: null, // { hands, upcard, kitty } as dealt this hand
+    history: [], // one record per hand so far (see history.js)
+    training, // played with every hand face up: not counted in stats
+  };
+}
+
+/** Seats sitting this hand out: the partner of a loner and/or of a lone defender */
+export function inactivePlayers(state) {
+  const out = [];
+  if (state.alonePlayer !== null) out.push(partnerOf(state, state.alonePlayer));
+  if (state.defenderAlone !== null) out.push(partnerOf(state, state.defenderAlone));
+  return out;
+}
+
+export function activeSeats(state) {
+  const out = inactivePlayers(state);
+  return Array.from({ length: state.numSeats }, (_, i) => i).filter((i) => !out.includes(i));
+}
+
+export function leadSuitOf(state) {
+  if (!state.trick.length || !state.trump) return null;
+  return effectiveSuit(state.trick[0].card, state.trump);
+}
+
+export function legalPlays(state, player) {
+  if (state.phase !== "playing" || player !== state.turn) return [];
+  return legalCards(state.hands[player], state.trump, leadSuitOf(state));
+}
+
+/** Team that reached the target, the higher score if several got there at once.
+ * A tie for the top over the target (cutthroat: a euchre pays both defenders)
+ * has no winner yet: the game plays on until the tie breaks.
+ */
+export function winningTeam(state) {
+  const top = Math.max(...state.score);
+  if (top < state.rules.targetScore) return null;
+  const leaders = state.score.flatMap((pts, team) => (pts === top ? [team] : []));
+  return leaders.length === 1 ? leaders[0] : null;
+}
+
+/** Same game with different house rules (they apply from now on; the seat count can't change) */
+export function withRules(state, rules) {
+  return { ...state, rules: normalizeRules({ ...rules, players: state.numSeats }) };
+}
+
+export function isGameOver(state) {
+  return winningTeam(state) !== null;
+}
+
+/** Turn rotation that skips seats sitting out (loner / lone defender partners) */
+function nextTurnIndex(state, cur) {
+  const out = inactivePlayers(state);
+  let n = (cur + 1) % state.numSeats;
+  while (out.includes(n)) n = (n + 1) % state.numSeats;
+  return n;
+}
+function normalizeTurnMaybe(state, t) {
+  if (inactivePlayers(state).includes(t)) return nextTurnIndex(state, t);
+  return t;
+}
+
+/** First defender clockwise from the dealer's left */
+function firstDefender(state) {
+  for (let i = 1; i <= state.numSeats; i++) {
+    const seat = (state.dealer + i) % state.numSeats;
+    if (teamOf(state, seat) !== state.makerTeam) return seat;
+  }
+  return null;
+}
+
+/** Seed for the hand after `seed` when none is given explicitly */
+export function nextHandSeed(seed) {
+  return mixSeed(seed, 1);
+}
+
+/** ---------- Actions ---------- **/
+function deal(state, { seed, dealer: chosen, redeal = false }) {
+  const between = state.phase === "idle" || state.phase === "hand_over";
+  if (!between && !redeal) return null;
+  if (isGameOver(state)) return null;
+  if (chosen !== undefined && chosen !== null && !(Number.isInteger(chosen) && chosen >= 0 && chosen < state.numSeats)) return null;
+
+  // `redeal` throws in the current hand and deals again with the same dealer;
+  // a reported hand (seed and dealer) can name its dealer
+  const dealer = chosen ?? (state.phase === "hand_over" ? (state.dealer + 1) % state.numSeats : state.dealer);
+  const handSeed = seed ?? (state.phase === "idle" ? state.seed : nextHandSeed(state.seed));
+  return dealNewHand(between ? state : throwIn(state, []), dealer, handSeed);
+}
+
+/** Keep a hand that won't be played out in the history; `events` end its log */
+function throwIn(state, events) {
+  return { ...state, history: [...state.history, handRecord({ ...state, log: [...state.log, ...events] })] };
+}
+
+function dealNewHand(state, dealer, handSeed, extra = {}) {
+  const { hands, upcard, kitty } = dealHand(handSeed, state.rules.deck, state.numSeats);
+
+  const next = {
+    ...state,
+    dealt: { hands, upcard, kitty },
+    deck: state.rules.deck,
+    phase: "bid1",
+    seed: handSeed,
+    dealer,
+    turn: (dealer + 1) % state.numSeats,
+    hands,
+    upcard,
+    trump: null,
+    maker: null,
+    makerTeam: null,
+    alonePlayer: null,
+    defenderAlone: null,
+    forcedDealerPick: false,
+    trick: [],
+    lastTrick: null,
+    tricksWonTeam: Array(teamCount(state)).fill(0),
+    tricksWonPlayer: Array(state.numSeats).fill(0),
+    tricksCompleted: 0,
+  };
+  const events = [{ type: "deal", dealer, upcard, seed: handSeed, ...extra }];
+
+  // A turned-up Joker has no suit to order up: round 1 is skipped and the
+  // dealer must name trump, then picks the Joker up and discards.
+  if (isJoker(upcard)) {
+    events.push({ type: "jokerUp", dealer });
+    return { state: { ...next, phase: "bid2", forcedDealerPick: true, turn: dealer }, events };
+  }
+  return { state: next, events };
+}
+
+function pass(state, { player }) {
+  if (state.phase === "defend_alone") return declineDefendAlone(state, player);
+  if (state.phase !== "bid1" && state.phase !== "bid2") return null;
+  if (player !== state.turn || state.forcedDealerPick) return null;
+
+  const events = [{ type: "pass", player }];
+  const next = (player + 1) % state.numSeats;
+  const backToFirst = next === (state.dealer + 1) % state.numSeats;
+
+  if (state.phase === "bid1") {
+    if (backToFirst) {
+      events.push({ type: "round2", forbiddenSuit: state.upcard.s });
+      return { state: { ...state, phase: "bid2", turn: next }, events };
+    }
+    return { state: { ...state, turn: next }, events };
+  }
+
+  if (backToFirst) {
+    if (!state.rules.stickTheDealer) {
+      // Everyone passed twice: throw the hand in, deal moves on.
+      const nextDealer = (state.dealer + 1) % state.numSeats;
+      const redeal = dealNewHand(throwIn(state, events), nextDealer, nextHandSeed(state.seed), { allPassed: true });
+      return { state: redeal.state, events: [...events, ...redeal.events] };
+    }
+    events.push({ type: "screwTheDealer", dealer: state.dealer });
+    return { state: { ...state, forcedDealerPick: true, turn: state.dealer }, events };
+  }
+  return { state: { ...state, turn: next }, events };
+}
+
+function setTrump(state, player, suit, alone) {
+  return {
+    ...state,
+    trump: suit,
+    maker: player,
+    makerTeam: teamOf(state, player),
+    alonePlayer: alone ? player : null,
+    forcedDealerPick: false,
+  };
+}
+
+function startPlay(state) {
+  return { ...state, phase: "playing", turn: normalizeTurnMaybe(state, (state.dealer + 1) % state.numSeats) };
+}
+
+/** Trump is set (and any discard made): defenders may get to defend alone first */
+function afterTrump(state) {
+  if (!state.rules.defendAlone || isCutthroat(state)) return startPlay(state);
+  return { ...state, phase: "defend_alone", turn: firstDefender(state) };
+}
+
+function defendAlone(state, { player }) {
+  if (state.phase !== "defend_alone" || player !== state.turn) return null;
+  const next = startPlay({ ...state, defenderAlone: player });
+  return { state: next, events: [{ type: "defendAlone", player }] };
+}
+
+function declineDefendAlone(state, player) {
+  if (player !== state.turn) return null;
+  const events = [{ type: "pass", player, defend: true }];
+  if (player === firstDefender(state)) return { state: { ...state, turn: partnerOf(state, player) }, events };
+  return { state: startPlay(state), events };
+}
+
+function orderUp(state, { player, alone = false }) {
+  if (state.phase !== "bid1" || player !== state.turn) return null;
+  if (alone && isCutthroat(state)) return null;
+
+  const suit = state.upcard.s;
+  const next = setTrump(state, player, suit, alone);
+  const events = [{ type: "orderUp", player, suit, alone }];
+
+  // If maker goes alone and the dealer is the sitting-out partner,
+  // skip dealer pickup/discard entirely.
+  if (alone && partnerOf(state, player) === state.dealer) {
+    events.push({ type: "dealerSitsOut", dealer: state.dealer });
+    return { state: afterTrump(next), events };
+  }
+  return { state: { ...next, phase: "dealer_discard", turn: state.dealer }, events };
+}
+
+function callSuit(state, { player, suit, alone = false }) {
+  if (state.phase !== "bid2" || player !== state.turn) return null;
+  if (!SUITS.includes(suit) || suit === state.upcard.s) return null;
+  if (alone && isCutthroat(state)) return null;
+
+  const next = setTrump(state, player, suit, alone);
+  const events = [{ type: "callSuit", player, suit, alone }];
+  if (isJoker(state.upcard)) return { state: { ...next, phase: "dealer_discard", turn: state.dealer }, events };
+  return { state: afterTrump(next), events };
+}
+
+function discard(state, { player, card }) {
+  if (state.phase !== "dealer_discard" || player !== state.dealer) return null;
+
+  const six = [...state.hands[player], state.upcard];
+  const idx = six.findIndex((c) => sameCard(c, card));
+  if (idx < 0) return null;
+  six.splice(idx, 1);
+
+  const hands = state.hands.map((h, i) => (i === player ? six : h));
+  return { state: afterTrump({ ...state, hands }), events: [{ type: "discard", player, card }] };
+}
+
+function play(state, { player, card }) {
+  if (state.phase !== "playing" || player !== state.turn) return null;
+  if (!legalPlays(state, player).some((c) => sameCard(c, card))) return null;
+
+  const hands = state.hands.map((h, i) => (i === player ? h.filter((c) => !sameCard(c, card)) : h));
+  const trick = [...state.trick, { player, card }];
+  const events = [{ type: "play", player, card }];
+
+  const targetCount = activeSeats(state).length;
+  if (trick.length < targetCount) {
+    return { state: { ...state, hands, trick, turn: nextTurnIndex(state, player) }, events };
+  }
+
+  const winner = trick[trickWinnerIndex(trick, state.trump)].player;
+  const tricksWonTeam = [...state.tricksWonTeam];
+  tricksWonTeam[teamOf(state, winner)] += 1;
+  const tricksWonPlayer = [...state.tricksWonPlayer];
+  tricksWonPlayer[winner] += 1;
+  const tricksCompleted = state.tricksCompleted + 1;
+
+  events.push({ type: "trick", winner, cards: trick });
+
+  let next = {
+    ...state,
+    hands,
+    trick: [],
+    lastTrick: { cards: trick, winner },
+    turn: normalizeTurnMaybe(state, winner),
+    tricksWonTeam,
+    tricksWonPlayer,
+    tricksCompleted,
+  };
+
+  if (tricksCompleted === 5) {
+    const result = scoreHand(next);
+    next = { ...next, phase: "hand_over", score: result.score };
+    events.push({ type: "handOver", ...result.summary });
+    next = { ...next, history: [...next.history, handRecord({ ...next, log: [...state.log, ...events] })] };
+    const won = winningTeam(next);
+    if (won !== null) events.push({ type: "gameOver", team: won });
+  }
+  return { state: next, events };
+}
+
+/** Points for the hand. In cutthroat a euchre pays each of the two defenders. */
+function scoreHand(state) {
+  const { makerTeam, alonePlayer, defenderAlone, rules } = state;
+  const score = [...state.score];
+  const makerTricks = state.tricksWonTeam[makerTeam];
+  const defTeams = score.map((_, t) => t).filter((t) => t !== makerTeam);
+
+  let teams;
+  let points;
+  if (makerTricks === 5) (teams = [makerTeam]), (points = alonePlayer !== null ? rules.lonerPoints : rules.marchPoints);
+  else if (makerTricks >= 3) (teams = [makerTeam]), (points = 1);
+  else if (alonePlayer !== null && defenderAlone !== null) (teams = defTeams), (points = rules.defendAlonePoints);
+  else (teams = defTeams), (points = rules.euchrePoints);
+
+  for (const t of teams) score[t] += points;
+  const euchred = makerTricks < 3;
+  return { score, summary: { teams, points, makerTeam, makerTricks, euchred } };
+}
+
+const handlers = { deal, pass, orderUp, callSuit, defendAlone, discard, play };
+
+export function applyAction(state, action) {
+  const handler = Object.hasOwn(handlers, action?.type) ? handlers[action.type] : null;
+  const res = handler ? handler(state, action) : null;
+  if (!res) return { state, events: [] };
+
+  // The log holds the current hand only: it restarts at the latest deal.
+  const dealAt = res.events.findLastIndex((e) => e.type === "deal");
+  const log = dealAt >= 0 ? res.events.slice(dealAt) : [...state.log, ...res.events];
+  return { state: { ...res.state, log }, events: res.events };
+}
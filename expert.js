@@ -0,0 +1,162 @@
+import { SUITS, applyAction, activeSeats, isAlly, teamOf, cardKey, effectiveSuit, shuffle } from "./engine.js";
+import { chooseBotAction, choosePlayCardAI, heuristicStrategy } from "./bots.js";
+
+/** ---------- Expert bot (determinized Monte Carlo) ----------
+ * Deal the cards this seat can't see in ways that fit what it has seen
+ * (hand sizes, who is out of which suit, where a picked-up upcard went),
+ * play every candidate action out to the end of the hand in each layout,
+ * and take the action with the best average points. Everyone in the
+ * playouts uses the normal heuristics. Sampling stops at the time budget,
+ * so on a slow device the Expert can pick differently from a fast one.
+ **/
+export const EXPERT_BUDGET_MS = 120;
+const MAX_LAYOUTS = 400;
+
+/** The search behind the strategy contract (strategy.js). `playOnly` searches
+ * card play but leaves bidding to the heuristics (the Hard level).
+ */
+export function expertStrategy({ budgetMs = EXPERT_BUDGET_MS, playOnly = false, profile, name = "expert" } = {}) {
+  const heuristic = heuristicStrategy(profile);
+  // a bid searched with and without going alone; decideAlone reads the answer back
+  const aloneFor = new WeakMap();
+
+  const best = (view, actions) => searchBest(view, actions, budgetMs);
+  const bid = (view, actions) => {
+    const pick = best(view, actions);
+    if (pick.type !== "pass") aloneFor.set(view, !!pick.alone);
+    return pick;
+  };
+  const withAlone = (view, action) =>
+    view.canGoAlone ? [action, { ...action, alone: true }] : [action];
+
+  return {
+    name,
+
+    decideBid1(view) {
+      if (playOnly) return heuristic.decideBid1(view);
+      const call = { type: "orderUp", player: view.seat, alone: false };
+      return bid(view, [{ type: "pass", player: view.seat }, ...withAlone(view, call)]).type !== "pass";
+    },
+
+    decideBid2(view) {
+      if (playOnly) return heuristic.decideBid2(view);
+      const actions = view.mustCall ? [] : [{ type: "pass", player: view.seat }];
+      for (const suit of SUITS) {
+        if (suit !== view.forbiddenSuit) actions.push(...withAlone(view, { type: "callSuit", player: view.seat, suit, alone: false }));
+      }
+      const pick = bid(view, actions);
+      return pick.type === "pass" ? null : pick.suit;
+    },
+
+    decideAlone(view) {
+      if (aloneFor.has(view)) return aloneFor.get(view);
+      if (playOnly || view.phase !== "defend_alone") return heuristic.decideAlone(view);
+      const pick = best(view, [
+        { type: "pass", player: view.seat },
+        { type: "defendAlone", player: view.seat },
+      ]);
+      return pick.type === "defendAlone";
+    },
+
+    // only the heuristics can say why; searched bids have no single threshold
+    explainBid(view) {
+      return playOnly ? heuristic.explainBid(view) : null;
+    },
+
+    chooseDiscard(view) {
+      if (playOnly) return heuristic.chooseDiscard(view);
+      return best(view, [...view.hand, view.upcard].map((card) => ({ type: "discard", player: view.seat, card }))).card;
+    },
+
+    choosePlay(view) {
+      return best(view, view.legal.map((card) => ({ type: "play", player: view.seat, card }))).card;
+    },
+  };
+}
+
+/** The candidate with the best average result over sampled layouts */
+function searchBest(view, candidates, budgetMs) {
+  if (candidates.length === 1) return candidates[0];
+  const { game, seat, memory, rng } = view;
+  const totals = candidates.map(() => 0);
+  const deadline = Date.now() + budgetMs;
+
+  let layouts = 0;
+  while (layouts < MAX_LAYOUTS && (layouts === 0 || Date.now() < deadline)) {
+    const world = sampleLayout(game, seat, memory, rng);
+    candidates.forEach((action, i) => {
+      totals[i] += playout(world, action, seat);
+    });
+    layouts++;
+  }
+
+  let pick = 0;
+  for (let i = 1; i < candidates.length; i++) if (totals[i] > totals[pick]) pick = i;
+  return candidates[pick];
+}
+
+/** One guess at the hidden hands, keeping everyone out of suits they have shown out of */
+function sampleLayout(state, seat, memory, rng) {
+  const { dealer, upcard, phase, log } = state;
+  // a picked-up upcard stays face up until the discard, then sits in the dealer's hand
+  // (unless the dealer sat out for a lone maker and never took it)
+  const upKey = upcard ? cardKey(upcard) : null;
+  const upInPool = memory.unseen.some((c) => cardKey(c) === upKey);
+  const pool = memory.unseen.filter((c) => cardKey(c) !== upKey);
+  const discarded = phase === "defend_alone" || phase === "playing";
+  const satOut = log.some((e) => e.type === "dealerSitsOut");
+  const forced = upInPool && discarded && !satOut && dealer !== seat ? upcard : null;
+
+  const need = state.hands.map((h, p) => (p === seat ? 0 : h.length - (forced && p === dealer ? 1 : 0)));
+
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const hands = tryDeal(shuffle(pool, rng), need, memory, state.trump, attempt < 19);
+    if (!hands) continue;
+    if (forced) hands[dealer].push(forced);
+    hands[seat] = state.hands[seat];
+    return { ...state, hands };
+  }
+  return state; // unreachable: the last attempt ignores voids
+}
+
+function tryDeal(cards, need, memory, trump, respectVoids) {
+  const hands = need.map(() => []);
+  const left = [...need];
+  for (const c of cards) {
+    const suit = trump ? effectiveSuit(c, trump) : c.s;
+    const open = left.map((_, p) => p).filter((p) => left[p] > 0 && !(respectVoids && memory.voids[p].has(suit)));
+    if (!open.length) continue; // goes to the kitty
+    // fill the seat with the most room first so late cards aren't stranded
+    const p = open.reduce((a, b) => (left[b] > left[a] ? b : a));
+    hands[p].push(c);
+    left[p]--;
+  }
+  return left.every((n) => n === 0) ? hands : null;
+}
+
+/** Points to `seat`'s side from taking `action` in `world` and playing the hand out */
+function playout(world, action, seat) {
+  let state = world;
+  let next = action;
+  for (let steps = 0; steps < 200 && next; steps++) {
+    const { state: after, events } = applyAction(state, next);
+    if (!events.length) return 0;
+    for (const e of events) {
+      if (e.type === "handOver") return e.teams.includes(teamOf(world, seat)) ? e.points : -e.points;
+      if (e.type === "deal") return 0; // thrown in after everyone passed
+    }
+    state = after;
+    next = rolloutAction(state);
+  }
+  return 0;
+}
+
+/** The normal bot, minus card memory (the playout already knows every hand) */
+function rolloutAction(state) {
+  if (state.phase !== "playing") return chooseBotAction(state);
+  const { turn, trump, trick, hands } = state;
+  const seats = activeSeats(state);
+  const allies = seats.filter((s) => s !== turn && isAlly(state, s, turn));
+  const card = choosePlayCardAI(hands[turn], trump, trick, turn, { activeCount: seats.length, allies });
+  return { type: "play", player: turn, card };
+}
@@ -0,0 +1,152 @@
+/** ---------- Hand history ----------
+ * One record per hand of the game, kept in `state.history` by the engine:
+ * the hands as dealt, the upcard, every bid, the discard, every trick and
+ * the points. Hands thrown in (everyone passed, or a redeal) are kept too.
+ * A whole game can be exported to JSON and imported again for viewing.
+ **/
+export const EXPORT_FORMAT = "euchre-no-ads.game";
+export const EXPORT_VERSION = 1;
+
+/** Bids in order: { player, round, bid: "pass" | "orderUp" | "callSuit" | "defendAlone", suit?, alone? } */
+export function bidsFromLog(log) {
+  const bids = [];
+  let round = 1;
+  for (const e of log) {
+    if (e.type === "round2" || e.type === "jokerUp") round = 2; // a turned-up Joker skips straight to naming a suit
+    else if (e.type === "pass" && !e.defend) bids.push({ player: e.player, round, bid: "pass" });
+    else if (e.type === "orderUp" || e.type === "callSuit") {
+      bids.push({ player: e.player, round, bid: e.type, suit: e.suit, alone: e.alone });
+    } else if (e.type === "defendAlone") bids.push({ player: e.player, round, bid: "defendAlone" });
+  }
+  return bids;
+}
+
+/** The record for the hand in `state` (its log must run to the end of the hand) */
+export function handRecord(state) {
+  const { log, dealt } = state;
+  const deal = log.find((e) => e.type === "deal");
+  const call = log.find((e) => e.type === "orderUp" || e.type === "callSuit");
+  const discard = log.find((e) => e.type === "discard");
+  const over = log.find((e) => e.type === "handOver");
+
+  return {
+    number: state.history.length + 1,
+    seed: deal.seed,
+    dealer: deal.dealer,
+    upcard: deal.upcard,
+    hands: dealt?.hands ?? null,
+    kitty: dealt?.kitty ?? null,
+    bids: bidsFromLog(log),
+    trump: call?.suit ?? null,
+    maker: call?.player ?? null,
+    alone: !!call?.alone,
+    defenderAlone: state.defenderAlone,
+    discard: discard ? { player: discard.player, card: discard.card } : null,
+    tricks: log
+      .filter((e) => e.type === "trick")
+      .map((e) => ({ leader: e.cards[0].player, cards: e.cards, winner: e.winner })),
+    result: over
+      ? { teams: over.teams, points: over.points, makerTeam: over.makerTeam, makerTricks: over.makerTricks, euchred: over.euchred }
+      : null,
+    thrownIn: !over,
+    score: state.score, // after the hand
+  };
+}
+
+/** Everything needed to look at a finished (or unfinished) game again */
+export function exportGame(state, names) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    names: Array.from({ length: state.numSeats }, (_, i) => names[i]),
+    rules: state.rules,
+    numSeats: state.numSeats,
+    score: state.score,
+    training: !!state.training, // played with every hand face up
+    hands: state.history,
+  };
+}
+
+/** Parse an exported game; throws an Error with a readable message if it isn't one */
+export function parseGameExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't JSON.");
+  }
+  if (data?.format !== EXPORT_FORMAT) throw new Error("That file isn't an exported Euchre game.");
+  if (data.version > EXPORT_VERSION) throw new Error("That game was exported by a newer version of the app.");
+  if (
+    !Array.isArray(data.hands) ||
+    !Array.isArray(data.names) ||
+    (data.numSeats !== 3 && data.numSeats !== 4) ||
+    !data.hands.every((h) => isHandRecord(h, data.numSeats))
+  ) {
+    throw new Error("That game file is incomplete.");
+  }
+  return data;
+}
+
+/** Has everything the history list and the replay read from a hand record */
+function isHandRecord(h, numSeats) {
+  if (!h || typeof h !== "object" || !Array.isArray(h.bids) || !Array.isArray(h.score) || !h.upcard) return false;
+  if (!Array.isArray(h.tricks) || !h.tricks.every((t) => Array.isArray(t?.cards))) return false;
+  if (h.hands !== null && !(Array.isArray(h.hands) && h.hands.length === numSeats && h.hands.every(Array.isArray))) return false;
+  return h.thrownIn ? true : typeof h.result === "object" && h.result !== null;
+}
+
+/** ---------- Replay ----------
+ * A hand record as a list of table snapshots, one per step: the deal, each
+ * bid, the discard, each card played, each finished trick, and the result.
+ * Every frame says what the table looked like right after that step.
+ **/
+const sameCard = (a, b) => a.r === b.r && a.s === b.s;
+
+export function replayFrames(h) {
+  const frames = [];
+  let hands = h.hands.map((hand) => [...hand]);
+  let upcard = h.upcard;
+  let trump = null;
+  let maker = null;
+  let trick = [];
+  let trickNo = 0;
+  const tricksWon = hands.map(() => 0);
+
+  const push = (kind, extra = {}) =>
+    frames.push({ kind, dealer: h.dealer, hands, upcard, trump, maker, trick, trickNo, tricksWon: [...tricksWon], winner: null, ...extra });
+
+  push("deal");
+  for (const bid of h.bids) {
+    if (bid.bid === "orderUp" || bid.bid === "callSuit") {
+      trump = bid.suit;
+      maker = bid.player;
+      // a called suit turns the upcard down; an ordered-up card waits for the discard
+      if (bid.bid === "callSuit" && !h.discard) upcard = null;
+    }
+    push("bid", { bid });
+  }
+  // from here on the upcard is either in the dealer's hand or turned down
+  upcard = null;
+  if (h.discard) {
+    const { player, card } = h.discard;
+    hands = hands.map((hand, p) => (p === player ? [...hand, h.upcard].filter((c) => !sameCard(c, card)) : hand));
+    push("discard", { discard: h.discard });
+  }
+
+  for (const t of h.tricks) {
+    trickNo++;
+    trick = [];
+    for (const play of t.cards) {
+      hands = hands.map((hand, p) => (p === play.player ? hand.filter((c) => !sameCard(c, play.card)) : hand));
+      trick = [...trick, play];
+      push("play", { play });
+    }
+    tricksWon[t.winner]++;
+    push("trick", { winner: t.winner, tricksWon: [...tricksWon] });
+  }
+  trick = [];
+  push("end", { result: h.result });
+  return frames;
+}
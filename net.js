@@ -0,0 +1,101 @@
+import { DEFAULT_PORT, CLOSE_REPLACED } from "./protocol.js";
+
+/** ---------- Online play: the app's side of the connection ----------
+ * One WebSocket to server.js (see protocol.js for the messages). If it
+ * drops, it keeps retrying with a growing pause and says hello again with
+ * the token the server gave us, so the server puts us back in our seat.
+ * The token is kept in localStorage, so after a reload connecting again
+ * takes you back to your seat too.
+ *
+ *   const conn = connectToServer({ url, name, onMessage, onStatus });
+ *   conn.send({ type: "join", table: "ABCD", seat: 2 });
+ *   conn.close();
+ *
+ * onStatus gets "connecting" | "online" | "reconnecting" | "closed", or
+ * "replaced" when another tab took the seat over (no retrying then).
+ **/
+const TOKEN_KEY = "euchre-no-ads.netToken";
+const RETRY_MS = [500, 1000, 2000, 4000, 8000];
+
+/** Where the server most likely is: the machine that served the app */
+export function defaultServerUrl() {
+  const host = typeof location !== "undefined" && location.hostname ? location.hostname : "localhost";
+  return `ws://${host}:${DEFAULT_PORT}`;
+}
+
+function readToken() {
+  try {
+    return localStorage.getItem(TOKEN_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function writeToken(token) {
+  try {
+    localStorage.setItem(TOKEN_KEY, token);
+  } catch {
+    // without storage a reload loses the seat; dropped connections still reconnect
+  }
+}
+
+export function connectToServer({ url, name, onMessage, onStatus }) {
+  let ws = null;
+  let token = readToken();
+  let closed = false;
+  let retries = 0;
+  let retryTimer = null;
+  const queue = []; // sent while (re)connecting
+
+  function open() {
+    onStatus(retries ? "reconnecting" : "connecting");
+    ws = new WebSocket(url);
+
+    ws.onopen = () => {
+      retries = 0;
+      ws.send(JSON.stringify({ type: "hello", name, token }));
+      while (queue.length) ws.send(JSON.stringify(queue.shift()));
+      onStatus("online");
+    };
+
+    ws.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (msg.type === "welcome") {
+        token = msg.token;
+        writeToken(token);
+      }
+      onMessage(msg);
+    };
+
+    ws.onclose = (e) => {
+      if (closed) return;
+      if (e.code === CLOSE_REPLACED) {
+        closed = true;
+        onStatus("replaced");
+        return;
+      }
+      onStatus("reconnecting");
+      retryTimer = setTimeout(open, RETRY_MS[Math.min(retries++, RETRY_MS.length - 1)]);
+    };
+  }
+
+  open();
+
+  return {
+    send(msg) {
+      if (ws?.readyState === 1) ws.send(JSON.stringify(msg));
+      else queue.push(msg);
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      ws?.close();
+      onStatus("closed");
+    },
+  };
+}
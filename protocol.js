@@ -0,0 +1,49 @@
+/** ---------- Online play: what travels between server.js and the app ----------
+ * Everything is JSON over one WebSocket per player.
+ *
+ * app -> server
+ *   { type: "hello", name, token? }   first message; a token from an earlier visit reclaims your seat
+ *   { type: "create", name, rules }   open a table and sit at it (seat 0)
+ *   { type: "join", table, seat }
+ *   { type: "leave" }
+ *   { type: "act", action }           an engine action for your seat ({ type: "deal" } between hands)
+ *   { type: "newGame" }               once the game is over
+ *
+ * server -> app
+ *   { type: "welcome", token }
+ *   { type: "lobby", tables: [{ id, name, numSeats, phase, score, seats }] }
+ *   { type: "table", id, name, seat, seats, game, events }
+ *   { type: "error", message }
+ *
+ * `seats` is one entry per seat: { name, human, connected } (bots have human false).
+ * `game` is the engine state as that seat may see it (tableView) and `events`
+ * what the last action produced, filtered the same way.
+ *
+ * When another tab says hello with the same token, the server closes the
+ * older socket with CLOSE_REPLACED; that tab must not reconnect and take the seat back.
+ **/
+export const DEFAULT_PORT = 8787;
+export const CLOSE_REPLACED = 4001;
+
+// the seed would give away every hand; someone else's discard is face down
+const hideEvent = (seat) => (e) => {
+  if (e.type === "deal") return { ...e, seed: 0 };
+  if (e.type === "discard" && e.player !== seat) return { ...e, card: null };
+  return e;
+};
+
+/** The engine state with the other hands face down (nulls) and nothing that could reveal them */
+export function tableView(state, seat) {
+  return {
+    ...state,
+    seed: 0,
+    hands: state.hands.map((h, p) => (p === seat ? h : h.map(() => null))),
+    log: state.log.map(hideEvent(seat)),
+    dealt: null,
+    history: [],
+  };
+}
+
+export function tableEvents(events, seat) {
+  return events.map(hideEvent(seat));
+}
@@ -0,0 +1,55 @@
+/** ---------- Seedable RNG ----------
+ * Seeds are unsigned 32-bit ints, shown to players as short base-36 strings.
+ **/
+
+/** mulberry32: small, fast, good enough for shuffling cards */
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Deterministically combine a seed with another number into a new seed */
+export function mixSeed(seed, n) {
+  let h = (seed ^ Math.imul(n + 0x9e3779b9, 0x85ebca6b)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x7feb352d);
+  h = Math.imul(h ^ (h >>> 15), 0x846ca68b);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(36).toUpperCase();
+}
+
+/** Accepts what formatSeed prints; any other text is hashed into a seed. */
+export function parseSeed(text) {
+  const t = String(text ?? "").trim();
+  if (!t) return null;
+  if (/^[0-9a-z]{1,7}$/i.test(t) && parseInt(t, 36) <= 0xffffffff) return parseInt(t, 36);
+
+  let h = 0x811c9dc5;
+  for (let i = 0; i < t.length; i++) h = Math.imul(h ^ t.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+/** A hand as the HUD shows it: the seed plus the dealer's seat, counted from 1 ("3K9QZ1@2").
+ * The seed fixes the cards; the dealer fixes who bids first and where the bots sit. */
+export function formatDeal(seed, dealer) {
+  return `${formatSeed(seed)}@${dealer + 1}`;
+}
+
+/** { seed, dealer } from formatDeal's text; dealer is null when only a seed is given */
+export function parseDeal(text) {
+  const m = String(text ?? "").trim().match(/^(.*)@([1-4])$/);
+  const seed = parseSeed(m ? m[1] : text);
+  return seed === null ? null : { seed, dealer: m ? Number(m[2]) - 1 : null };
+}
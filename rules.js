@@ -0,0 +1,64 @@
+/** ---------- House rules ----------
+ * One plain object the engine reads for scoring, bidding and game-over.
+ **/
+export const DEFAULT_RULES = {
+  targetScore: 10,
+  lonerPoints: 4, // loner takes all 5
+  marchPoints: 2, // partnership takes all 5
+  euchrePoints: 2, // defenders stop the makers
+  stickTheDealer: true, // off: everyone passes twice -> redeal
+  defendAlone: false, // a defender may play alone once trump is set
+  defendAlonePoints: 4, // euchring a loner while defending alone
+  deck: "standard", // "standard" (24 cards) or "joker" (25, Joker is top trump)
+  players: 4, // 4 = partners, 3 = cutthroat (fixed once a game starts)
+};
+
+export const RULE_CHOICES = {
+  targetScore: [5, 7, 10, 11, 15],
+  lonerPoints: [3, 4, 5, 6],
+  marchPoints: [1, 2, 3],
+  euchrePoints: [1, 2, 3, 4],
+  defendAlonePoints: [2, 3, 4, 5, 6],
+  players: [
+    { value: 4, label: "4 players (partners)" },
+    { value: 3, label: "3 players (cutthroat)" },
+  ],
+  deck: [
+    { value: "standard", label: "24 cards (standard)" },
+    { value: "joker", label: "25 cards with Joker (Benny)" },
+  ],
+};
+
+/** Fill in anything missing (older saves, partial settings) from the defaults */
+export function normalizeRules(rules) {
+  return { ...DEFAULT_RULES, ...(rules || {}) };
+}
+
+/** Short form for the HUD, e.g. "To 10 · STD · Joker" */
+export function rulesSummary(rules) {
+  return [
+    rules.players === 3 ? "Cutthroat" : null,
+    `To ${rules.targetScore}`,
+    rules.stickTheDealer ? "STD" : null,
+    rules.defendAlone ? "DA" : null,
+    rules.deck === "joker" ? "Joker" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+export function describeRules(rules) {
+  return [
+    rules.players === 3 ? "3-player cutthroat" : null,
+    `Game to ${rules.targetScore}`,
+    `Loner ${rules.lonerPoints}`,
+    `March ${rules.marchPoints}`,
+    `Euchre ${rules.euchrePoints}`,
+    rules.stickTheDealer ? "Stick the dealer" : "Redeal if all pass",
+    rules.defendAlone ? `Defend alone (${rules.defendAlonePoints} vs loner)` : null,
+    rules.deck === "joker" ? "Joker deck" : null,
+    rules.players === 3 ? "A tie over the target plays on" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
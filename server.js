@@ -0,0 +1,289 @@
+/** ---------- LAN game server (Node) ----------
+ * Hosts tables for phones on the same network. The server owns each game:
+ * it deals, checks every move with the engine (applyAction refuses anything
+ * illegal), plays the empty seats with the built-in bots, and sends each
+ * player only what their seat can see (protocol.js). Nothing leaves the
+ * local network.
+ *
+ *   npm run build && npm run server               (then open the printed address on each phone)
+ *   npm run server -- --port 9000
+ *
+ * With a build in dist/ the app is served from the same port; otherwise run
+ * `npx vite --host` alongside and point the app's Online screen at this server.
+ * A player who drops keeps their seat for RECONNECT_GRACE_MS before a bot
+ * takes it over.
+ **/
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize } from "node:path";
+import { fileURLToPath } from "node:url";
+import { networkInterfaces } from "node:os";
+import { randomUUID } from "node:crypto";
+import { parseArgs } from "node:util";
+import { WebSocketServer } from "ws";
+import { createGame, applyAction, isGameOver } from "./engine.js";
+import { strategyAction, actingSeat } from "./strategy.js";
+import { strategyFor, fallbackStrategy } from "./strategies.js";
+import { DEFAULT_BOT } from "./bots.js";
+import { normalizeRules, DEFAULT_RULES, RULE_CHOICES } from "./rules.js";
+import { DEFAULT_PORT, CLOSE_REPLACED, tableView, tableEvents } from "./protocol.js";
+
+const RECONNECT_GRACE_MS = 120000;
+const BOT_DELAY_MS = 700;
+const TRICK_PAUSE_MS = 1300; // the app holds a finished trick on screen for about this long
+
+const { values: opts } = parseArgs({ options: { port: { type: "string", default: String(DEFAULT_PORT) } } });
+const port = Number(opts.port);
+const distDir = fileURLToPath(new URL("./dist/", import.meta.url));
+
+/** ---------- Tables and players ---------- **/
+const tables = new Map(); // id -> { id, name, game, seats: [token | null], botTimer }
+const players = new Map(); // token -> { token, name, ws, table, seat, dropTimer }
+
+function newTableId() {
+  const letters = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+  let id;
+  do id = Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join("");
+  while (tables.has(id));
+  return id;
+}
+
+function send(player, msg) {
+  if (player?.ws?.readyState === 1) player.ws.send(JSON.stringify(msg));
+}
+
+function seatsOf(table) {
+  return table.seats.map((token, seat) => {
+    const p = token && players.get(token);
+    return p ? { name: p.name, human: true, connected: !!p.ws } : { name: `Bot ${seat + 1}`, human: false, connected: true };
+  });
+}
+
+function lobby() {
+  return {
+    type: "lobby",
+    tables: [...tables.values()].map((t) => ({
+      id: t.id,
+      name: t.name,
+      numSeats: t.game.numSeats,
+      phase: t.game.phase,
+      score: t.game.score,
+      seats: seatsOf(t),
+    })),
+  };
+}
+
+function broadcastLobby() {
+  const msg = lobby();
+  for (const p of players.values()) if (!p.table) send(p, msg);
+}
+
+function sendTable(table, events = []) {
+  const seats = seatsOf(table);
+  table.seats.forEach((token, seat) => {
+    if (!token) return;
+    send(players.get(token), {
+      type: "table",
+      id: table.id,
+      name: table.name,
+      seat,
+      seats,
+      game: tableView(table.game, seat),
+      events: tableEvents(events, seat),
+    });
+  });
+}
+
+function sit(player, table, seat) {
+  if (player.table) stand(player);
+  table.seats[seat] = player.token;
+  player.table = table.id;
+  player.seat = seat;
+  sendTable(table);
+  broadcastLobby();
+  runBots(table); // a human taking over a bot's seat mid-turn
+}
+
+function stand(player) {
+  const table = tables.get(player.table);
+  player.table = null;
+  player.seat = null;
+  if (!table) return;
+  table.seats = table.seats.map((t) => (t === player.token ? null : t));
+  if (table.seats.every((t) => !t)) {
+    clearTimeout(table.botTimer);
+    tables.delete(table.id);
+  } else {
+    sendTable(table);
+    runBots(table);
+  }
+  broadcastLobby();
+}
+
+/** ---------- Moves ---------- **/
+function apply(table, action) {
+  const { state, events } = applyAction(table.game, action);
+  if (!events.length) return false;
+  table.game = state;
+  sendTable(table, events);
+  runBots(table, events.some((e) => e.type === "trick") ? TRICK_PAUSE_MS : BOT_DELAY_MS);
+  return true;
+}
+
+/** Empty seats are bots: play the next bot move after a pause, so people can follow it */
+function runBots(table, delay = BOT_DELAY_MS) {
+  clearTimeout(table.botTimer);
+  const seat = actingSeat(table.game);
+  if (seat === null || table.seats[seat]) return;
+  table.botTimer = setTimeout(() => {
+    if (!tables.has(table.id) || actingSeat(table.game) !== seat || table.seats[seat]) return;
+    apply(table, strategyAction(strategyFor(DEFAULT_BOT), table.game, fallbackStrategy));
+  }, delay);
+}
+
+function act(player, action) {
+  const table = tables.get(player.table);
+  if (!table || !action) return "Sit at a table first.";
+  if (action.type === "deal") {
+    const { phase } = table.game;
+    if ((phase !== "idle" && phase !== "hand_over") || isGameOver(table.game)) return "The hand isn't over yet.";
+    return apply(table, { type: "deal" }) ? null : "Can't deal now.";
+  }
+  // only your own seat; the engine checks the rest (turn, legal cards, bidding rules)
+  if (action.player !== player.seat) return "It isn't your turn.";
+  return apply(table, action) ? null : "That move isn't allowed.";
+}
+
+/** The first house rule a client sent that the settings screen couldn't have offered, or null */
+function badRule(rules) {
+  for (const [key, value] of Object.entries(rules)) {
+    if (!(key in DEFAULT_RULES)) return key;
+    const choices = RULE_CHOICES[key]?.map((c) => (typeof c === "object" ? c.value : c));
+    if (choices ? !choices.includes(value) : typeof value !== typeof DEFAULT_RULES[key]) return key;
+  }
+  return null;
+}
+
+/** ---------- Messages ---------- **/
+const handlers = {
+  hello(player, msg) {
+    if (msg.name) player.name = String(msg.name).slice(0, 24);
+    send(player, { type: "welcome", token: player.token });
+    const table = tables.get(player.table);
+    if (table) sendTable(table);
+    else send(player, lobby());
+  },
+
+  create(player, msg) {
+    if (msg.name) player.name = String(msg.name).slice(0, 24);
+    if (msg.rules != null && typeof msg.rules !== "object") return "Those house rules aren't valid.";
+    const bad = badRule(msg.rules ?? {});
+    if (bad) return `That house rule isn't allowed: ${bad}.`;
+    const rules = normalizeRules(msg.rules);
+    const game = createGame({ rules });
+    const table = { id: newTableId(), name: `${player.name}'s table`, game, seats: Array(game.numSeats).fill(null), botTimer: null };
+    tables.set(table.id, table);
+    sit(player, table, 0);
+  },
+
+  join(player, msg) {
+    const table = tables.get(msg.table);
+    if (!table) return "That table has closed.";
+    if (!Number.isInteger(msg.seat) || msg.seat < 0 || msg.seat >= table.seats.length) return "There's no such seat.";
+    if (table.seats[msg.seat]) return "That seat is taken.";
+    sit(player, table, msg.seat);
+  },
+
+  leave(player) {
+    stand(player);
+    send(player, lobby());
+  },
+
+  act(player, msg) {
+    return act(player, msg.action);
+  },
+
+  newGame(player) {
+    const table = tables.get(player.table);
+    if (!table || !isGameOver(table.game)) return "The game isn't over yet.";
+    table.game = createGame({ rules: table.game.rules });
+    sendTable(table);
+  },
+};
+
+/** ---------- Connections ---------- **/
+function onConnection(ws) {
+  let player = null;
+
+  ws.on("message", (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (!msg || typeof msg !== "object") return;
+    if (!player) {
+      if (msg.type !== "hello") return;
+      player = players.get(msg.token) ?? { token: randomUUID(), name: "Player", ws: null, table: null, seat: null, dropTimer: null };
+      // a second tab with the same token takes over the seat
+      if (player.ws && player.ws !== ws) player.ws.close(CLOSE_REPLACED, "Seat taken over by another tab");
+      clearTimeout(player.dropTimer);
+      player.ws = ws;
+      players.set(player.token, player);
+    }
+    // own keys only: "constructor" and friends aren't messages
+    const handler = Object.hasOwn(handlers, msg.type) ? handlers[msg.type] : null;
+    let error;
+    try {
+      error = handler ? handler(player, msg) : "Unknown message.";
+    } catch {
+      error = "That move isn't allowed."; // a malformed action the engine couldn't read
+    }
+    if (error) send(player, { type: "error", message: error });
+  });
+
+  ws.on("close", () => {
+    if (!player || player.ws !== ws) return;
+    player.ws = null;
+    const table = tables.get(player.table);
+    if (table) sendTable(table);
+    player.dropTimer = setTimeout(() => {
+      stand(player);
+      players.delete(player.token);
+    }, RECONNECT_GRACE_MS);
+  });
+}
+
+/** ---------- The built app, if there is one ---------- **/
+const TYPES = { ".html": "text/html", ".js": "text/javascript", ".css": "text/css", ".svg": "image/svg+xml", ".png": "image/png", ".ico": "image/x-icon" };
+
+async function serveApp(req, res) {
+  const path = normalize(decodeURIComponent(new URL(req.url, "http://x").pathname)).replace(/^([/\\])+/, "");
+  const file = join(distDir, path || "index.html");
+  try {
+    if (!file.startsWith(distDir)) throw new Error("outside dist");
+    const body = await readFile(file);
+    res.writeHead(200, { "content-type": TYPES[extname(file)] ?? "application/octet-stream" });
+    res.end(body);
+  } catch {
+    try {
+      res.writeHead(200, { "content-type": "text/html" });
+      res.end(await readFile(join(distDir, "index.html")));
+    } catch {
+      res.writeHead(404, { "content-type": "text/plain" });
+      res.end("No build found: run `npm run build`, or use the Vite dev server with --host.");
+    }
+  }
+}
+
+const server = createServer(serveApp);
+new WebSocketServer({ server }).on("connection", onConnection);
+server.listen(port, () => {
+  const lan = Object.values(networkInterfaces())
+    .flat()
+    .filter((a) => a && a.family === "IPv4" && !a.internal)
+    .map((a) => a.address);
+  console.log(`Euchre server on port ${port}`);
+  for (const ip of lan.length ? lan : ["localhost"]) console.log(`  http://${ip}:${port}   (game: ws://${ip}:${port})`);
+});
@@ -0,0 +1,202 @@
+/** ---------- Bot-vs-bot simulation (Node, no UI) ----------
+ * Plays seeded games between bots with the same engine and bidding/play
+ * code the app uses, and reports how the bidding works out.
+ *
+ *   npm run sim -- --games 2000 --seed 7
+ *   npm run sim -- --games 500 --players 3 --level hard --json > stats.json
+ *   npm run sim -- --games 500 --challenger ./myBot.js     (A/B: your strategy in seats 0 & 2)
+ *
+ * Options: --games N (1000), --seed S (1; base36 like the app shows),
+ * --players 3|4, --level easy|normal|hard|expert, --target N,
+ * --no-stick (redeal instead of Screw the Dealer), --json,
+ * --challenger <level or module path> (a module's default export is a strategy,
+ * see strategy.js) with --challenger-seats 0,2 (default: seat 0 and its partner)
+ **/
+import { parseArgs } from "node:util";
+import { pathToFileURL } from "node:url";
+import { resolve } from "node:path";
+import { createGame, applyAction, isGameOver, winningTeam, teamOf } from "./engine.js";
+import { BOT_LEVELS } from "./bots.js";
+import { strategyAction, actingSeat } from "./strategy.js";
+import { strategyFor } from "./strategies.js";
+import { mixSeed, parseSeed, formatSeed } from "./rng.js";
+
+const SEAT_NAMES = {
+  4: ["Dealer", "1st seat", "Dealer's partner", "3rd seat"],
+  3: ["Dealer", "1st seat", "2nd seat"],
+};
+
+const { values: opts } = parseArgs({
+  options: {
+    games: { type: "string", default: "1000" },
+    seed: { type: "string", default: "1" },
+    players: { type: "string", default: "4" },
+    level: { type: "string", default: "normal" },
+    target: { type: "string" },
+    "no-stick": { type: "boolean", default: false },
+    challenger: { type: "string" },
+    "challenger-seats": { type: "string" },
+    json: { type: "boolean", default: false },
+  },
+});
+
+const games = Number(opts.games);
+const players = Number(opts.players);
+const baseSeed = parseSeed(opts.seed);
+if (!(games > 0) || (players !== 3 && players !== 4) || !BOT_LEVELS[opts.level] || baseSeed === null) {
+  console.error(
+    "usage: node sim.js [--games N] [--seed S] [--players 3|4] [--level easy|normal|hard|expert] [--challenger level|file.js] [--json]"
+  );
+  process.exit(1);
+}
+
+const rules = { players, stickTheDealer: !opts["no-stick"] };
+if (opts.target) rules.targetScore = Number(opts.target);
+const field = strategyFor({ level: opts.level, personality: "balanced" });
+const challenger = opts.challenger ? await loadStrategy(opts.challenger) : null;
+const challengerSeats = (opts["challenger-seats"] ?? (players === 4 ? "0,2" : "0")).split(",").map(Number);
+const seatStrategies = Array.from({ length: players }, (_, s) =>
+  challenger && challengerSeats.includes(s) ? challenger : field
+);
+
+async function loadStrategy(spec) {
+  if (BOT_LEVELS[spec]) return strategyFor({ level: spec, personality: "balanced" });
+  const mod = await import(pathToFileURL(resolve(spec)).href);
+  const strategy = mod.default ?? mod.strategy;
+  return { name: spec, ...strategy };
+}
+
+function botAction(state) {
+  if (state.phase === "idle" || state.phase === "hand_over") return { type: "deal" };
+  return strategyAction(seatStrategies[actingSeat(state)], state);
+}
+
+/** Tallies for one run; `bySeat` is indexed by seat relative to the dealer */
+function emptyStats() {
+  return {
+    games: 0,
+    hands: 0,
+    redeals: 0,
+    screwTheDealer: 0,
+    round1Calls: 0,
+    round2Calls: 0,
+    made: 0,
+    marches: 0,
+    euchres: 0,
+    loners: 0,
+    lonersMade: 0,
+    lonerMarches: 0,
+    points: 0,
+    challengerWins: 0,
+    bySeat: SEAT_NAMES[players].map((seat) => ({ seat, calls: 0, made: 0, euchred: 0 })),
+  };
+}
+
+function runGame(stats, seed) {
+  let state = createGame({ seed, rules });
+  let call = null; // { rel, alone } for the hand in progress
+  for (let steps = 0; !isGameOver(state); steps++) {
+    if (steps > 100000) throw new Error(`game ${formatSeed(seed)} did not finish`);
+    const { state: next, events } = applyAction(state, botAction(state));
+    if (!events.length) throw new Error(`bot made an illegal move in game ${formatSeed(seed)} (${state.phase})`);
+
+    for (const e of events) {
+      if (e.type === "deal" && e.allPassed) stats.redeals++;
+      else if (e.type === "screwTheDealer") stats.screwTheDealer++;
+      else if (e.type === "orderUp" || e.type === "callSuit") {
+        call = { rel: (e.player - state.dealer + players) % players, alone: e.alone };
+        if (e.type === "orderUp") stats.round1Calls++;
+        else stats.round2Calls++;
+      } else if (e.type === "handOver") {
+        const seat = stats.bySeat[call.rel];
+        stats.hands++;
+        stats.points += e.points;
+        seat.calls++;
+        if (e.euchred) {
+          stats.euchres++;
+          seat.euchred++;
+        } else {
+          stats.made++;
+          seat.made++;
+        }
+        if (e.makerTricks === 5) stats.marches++;
+        if (call.alone) {
+          stats.loners++;
+          if (!e.euchred) stats.lonersMade++;
+          if (e.makerTricks === 5) stats.lonerMarches++;
+        }
+        call = null;
+      }
+    }
+    state = next;
+  }
+  stats.games++;
+  const winner = winningTeam(state);
+  if (challenger && challengerSeats.some((s) => teamOf(state, s) === winner)) stats.challengerWins++;
+}
+
+const pct = (n, d) => (d ? Math.round((1000 * n) / d) / 10 : 0);
+
+function summarize(s) {
+  return {
+    config: { games, seed: formatSeed(baseSeed), players, level: opts.level, rules },
+    challenger: challenger
+      ? { name: challenger.name, seats: challengerSeats, wins: s.challengerWins, winPct: pct(s.challengerWins, s.games) }
+      : null,
+    games: s.games,
+    hands: s.hands,
+    redeals: s.redeals,
+    avgPointsPerHand: s.hands ? Math.round((100 * s.points) / s.hands) / 100 : 0,
+    makePct: pct(s.made, s.hands),
+    euchrePct: pct(s.euchres, s.hands),
+    marchPct: pct(s.marches, s.hands),
+    round1CallPct: pct(s.round1Calls, s.hands),
+    round2CallPct: pct(s.round2Calls, s.hands),
+    screwTheDealerPct: pct(s.screwTheDealer, s.hands + s.redeals),
+    loners: {
+      count: s.loners,
+      perHundredHands: pct(s.loners, s.hands),
+      madePct: pct(s.lonersMade, s.loners),
+      marchPct: pct(s.lonerMarches, s.loners),
+    },
+    bySeat: s.bySeat.map((b) => ({
+      seat: b.seat,
+      calls: b.calls,
+      callPct: pct(b.calls, s.hands),
+      makePct: pct(b.made, b.calls),
+      euchrePct: pct(b.euchred, b.calls),
+    })),
+  };
+}
+
+function printTable(r) {
+  const row = (cells, widths) => cells.map((c, i) => String(c).padEnd(widths[i])).join("  ").trimEnd();
+  console.log(`${r.games} games, ${r.hands} hands (${r.redeals} thrown in) · seed ${r.config.seed} · ${r.config.players} players · ${r.config.level} bots`);
+  if (r.challenger) {
+    const c = r.challenger;
+    console.log(`${c.name} in seats ${c.seats.join(" & ")} won ${c.wins} of ${r.games} games (${c.winPct}%)`);
+  }
+  console.log("");
+  const w = [18, 7, 8, 8, 8];
+  console.log(row(["Caller", "Calls", "Call %", "Make %", "Euchre %"], w));
+  for (const b of r.bySeat) console.log(row([b.seat, b.calls, b.callPct, b.makePct, b.euchrePct], w));
+  console.log("");
+  const lines = [
+    ["Made", `${r.makePct}%`],
+    ["Euchred", `${r.euchrePct}%`],
+    ["March", `${r.marchPct}%`],
+    ["Called in round 1", `${r.round1CallPct}%`],
+    ["Called in round 2", `${r.round2CallPct}%`],
+    ["Screw the Dealer", `${r.screwTheDealerPct}%`],
+    ["Loners", `${r.loners.count} (${r.loners.perHundredHands} per 100 hands)`],
+    ["Loners made", `${r.loners.madePct}% (march ${r.loners.marchPct}%)`],
+    ["Avg points / hand", r.avgPointsPerHand],
+  ];
+  for (const [k, v] of lines) console.log(row([k, v], [18, 0]));
+}
+
+const stats = emptyStats();
+for (let g = 0; g < games; g++) runGame(stats, mixSeed(baseSeed, g));
+const report = summarize(stats);
+if (opts.json) console.log(JSON.stringify(report, null, 2));
+else printTable(report);
@@ -0,0 +1,131 @@
+import { legalCards, trickWinnerIndex, cardPower, effectiveSuit, cardKey, sameCard } from "./engine.js";
+
+/** ---------- Double-dummy solver ----------
+ * With every hand face up and at most five tricks to go, best play for both
+ * sides can be searched exactly: alpha-beta over the legal cards, with the
+ * positions at the start of each trick remembered. The makers try to take
+ * as many tricks as they can; the defenders (both of them in cutthroat)
+ * try to hold them to as few as they can.
+ *
+ *   const dd = doubleDummy({ trump, active, makers });
+ *   dd.makerTricks(hands, trick, turn)  -> tricks the makers take from here on
+ *   dd.playValues(hands, trick, turn)   -> [{ card, tricks }] for each legal card
+ *
+ * `active` is the seats playing the hand in seat order (a loner's partner
+ * sits out), `makers` the seats on the makers' side, and `trick` the cards
+ * already played to the current trick, as in the engine.
+ **/
+export function doubleDummy({ trump, active, makers }) {
+  const memo = new Map();
+  const next = (p) => active[(active.indexOf(p) + 1) % active.length];
+  const isMaker = (p) => makers.includes(p);
+
+  const without = (hands, p, card) => hands.map((h, i) => (i === p ? h.filter((c) => !sameCard(c, card)) : h));
+  // strongest cards first: cut-offs come sooner
+  const choices = (hand, trick) => {
+    const lead = trick.length ? effectiveSuit(trick[0].card, trump) : null;
+    return [...legalCards(hand, trump, lead)].sort((a, b) => cardPower(b, trump, lead ?? trump) - cardPower(a, trump, lead ?? trump));
+  };
+
+  // exact value at the start of a trick, remembered
+  function fromLead(hands, leader) {
+    if (!hands[leader].length) return 0;
+    const key = `${leader}:${active.map((p) => hands[p].map(cardKey).sort().join(",")).join("/")}`;
+    if (!memo.has(key)) memo.set(key, search(hands, [], leader, -Infinity, Infinity));
+    return memo.get(key);
+  }
+
+  function search(hands, trick, turn, alpha, beta) {
+    if (trick.length === active.length) {
+      const winner = trick[trickWinnerIndex(trick, trump)].player;
+      return (isMaker(winner) ? 1 : 0) + fromLead(hands, winner);
+    }
+    const maximize = isMaker(turn);
+    let best = maximize ? -Infinity : Infinity;
+    for (const card of choices(hands[turn], trick)) {
+      const v = search(without(hands, turn, card), [...trick, { player: turn, card }], next(turn), alpha, beta);
+      if (maximize) {
+        best = Math.max(best, v);
+        alpha = Math.max(alpha, v);
+      } else {
+        best = Math.min(best, v);
+        beta = Math.min(beta, v);
+      }
+      if (alpha >= beta) break;
+    }
+    return best;
+  }
+
+  /** Tricks of this one and the ones to come that the makers take */
+  function makerTricks(hands, trick, turn) {
+    return trick.length ? search(hands, trick, turn, -Infinity, Infinity) : fromLead(hands, turn);
+  }
+
+  function playValues(hands, trick, turn) {
+    return choices(hands[turn], trick).map((card) => ({
+      card,
+      tricks: makerTricks(without(hands, turn, card), [...trick, { player: turn, card }], next(turn)),
+    }));
+  }
+
+  return { makerTricks, playValues };
+}
+
+/** ---------- Post-hand analysis ----------
+ * A finished hand record (history.js) against perfect play: the tricks the
+ * makers would take from the opening lead with every card seen, and each
+ * card played by one of `seats` that cost its side a trick (with the cards
+ * that would not have). `played` is false if none of `seats` played a card.
+ * Null for hands that were thrown in or have no deal.
+ **/
+export function analyzeHand(h, numSeats, seats = [0]) {
+  if (!h?.hands || !h.trump || !h.result) return null;
+
+  const partner = (p) => (numSeats === 4 ? (p + 2) % 4 : null);
+  const out = [];
+  if (h.alone) out.push(partner(h.maker));
+  if (h.defenderAlone !== null && h.defenderAlone !== undefined) out.push(partner(h.defenderAlone));
+  const active = Array.from({ length: numSeats }, (_, i) => i).filter((p) => !out.includes(p));
+  const makers = active.filter((p) => p === h.maker || p === partner(h.maker));
+  const dd = doubleDummy({ trump: h.trump, active, makers });
+
+  // the hands at the opening lead: the dealer has picked up and discarded
+  let hands = h.hands.map((hand, p) =>
+    h.discard && p === h.discard.player ? [...hand, h.upcard].filter((c) => !sameCard(c, h.discard.card)) : [...hand]
+  );
+
+  const best = dd.makerTricks(hands, [], h.tricks[0]?.leader ?? active[0]);
+  const costly = [];
+  let taken = 0;
+
+  h.tricks.forEach((t, i) => {
+    const trick = [];
+    for (const play of t.cards) {
+      if (seats.includes(play.player)) {
+        const values = dd.playValues(hands, trick, play.player);
+        const forMakers = makers.includes(play.player);
+        const target = (forMakers ? Math.max : Math.min)(...values.map((v) => v.tricks));
+        const played = values.find((v) => sameCard(v.card, play.card));
+        const cost = played ? Math.abs(target - played.tricks) : 0;
+        if (cost > 0) {
+          costly.push({
+            trickNo: i + 1,
+            player: play.player,
+            card: play.card,
+            cost,
+            better: values.filter((v) => v.tricks === target).map((v) => v.card),
+            // makers' tricks for the hand with best play from there, either way
+            couldHave: taken + target,
+            after: taken + played.tricks,
+          });
+        }
+      }
+      hands = hands.map((hand, p) => (p === play.player ? hand.filter((c) => !sameCard(c, play.card)) : hand));
+      trick.push(play);
+    }
+    if (makers.includes(t.winner)) taken++;
+  });
+
+  const played = h.tricks.some((t) => t.cards.some((c) => seats.includes(c.player)));
+  return { makers, best, actual: h.result.makerTricks, played, costly };
+}
@@ -0,0 +1,163 @@
+import { isGameOver, winningTeam, teamSeats } from "./engine.js";
+
+/** ---------- Player statistics (localStorage) ----------
+ * Totals per seat that outlive any one game, kept by day so the Stats
+ * screen can chart them over time. Each finished hand is counted from its
+ * history record (history.js), and each finished game when it is won.
+ * `counted` remembers what went in for the current game, by hand number, so
+ * a hand played again after an undo replaces its tally instead of adding
+ * a second one (or being ignored).
+ **/
+const STATS_KEY = "euchre-no-ads.stats";
+export const STATS_VERSION = 2;
+const MAX_DAYS = 365;
+
+/** One seat's tallies */
+export function emptySeatStats() {
+  return {
+    hands: 0, // hands played (a loner's partner sitting out doesn't count)
+    calls1: 0, // ordered up in round 1
+    calls2: 0, // called a suit in round 2
+    made: 0,
+    euchred: 0, // called and got euchred
+    loners: 0,
+    lonersMade: 0,
+    marches: 0, // made all five as maker (alone or not)
+    tricks: 0,
+    games: 0,
+    wins: 0,
+  };
+}
+
+export function emptyStats() {
+  return { version: STATS_VERSION, days: [], counted: null };
+}
+
+export function loadStats() {
+  try {
+    let data = JSON.parse(localStorage.getItem(STATS_KEY));
+    // version 1 remembered only the last hand's seed; its days carry over as they are
+    if (data?.version === 1) data = { version: STATS_VERSION, days: data.days, counted: null };
+    return data?.version === STATS_VERSION && Array.isArray(data.days) ? data : emptyStats();
+  } catch {
+    return emptyStats();
+  }
+}
+
+export function saveStats(stats) {
+  try {
+    localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+  } catch {
+    // storage full or disabled: stats are best effort, like the autosave
+  }
+}
+
+export function clearStats() {
+  try {
+    localStorage.removeItem(STATS_KEY);
+  } catch {
+    // ignore
+  }
+  return emptyStats();
+}
+
+/** "2026-10-19" in local time */
+export function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// today's bucket, added if needed (copy-on-write so React sees the change)
+function withToday(stats, date) {
+  const day = dayKey(date);
+  const days = stats.days.at(-1)?.day === day ? stats.days : [...stats.days, { day, seats: [] }].slice(-MAX_DAYS);
+  return { ...stats, days };
+}
+
+// add (or with sign -1 take back) per-seat tallies in the bucket for `day`; one that aged out is left alone
+function bump(stats, day, adds, sign = 1) {
+  const i = stats.days.findLastIndex((d) => d.day === day);
+  if (i < 0) return stats;
+  const days = [...stats.days];
+  const bucket = { ...days[i], seats: [...days[i].seats] };
+  adds.forEach((add, seat) => {
+    if (!add) return;
+    const cur = { ...emptySeatStats(), ...bucket.seats[seat] };
+    for (const [k, n] of Object.entries(add)) cur[k] += sign * n;
+    bucket.seats[seat] = cur;
+  });
+  days[i] = bucket;
+  return { ...stats, days };
+}
+
+// put `adds` in today's bucket under `key` of the current game, taking back whatever that key counted before
+function count(stats, game, key, adds, date) {
+  const counted = stats.counted?.game === game.id ? stats.counted : { game: game.id, tallies: {} };
+  const prev = counted.tallies[key];
+  if (prev && JSON.stringify(prev.adds) === JSON.stringify(adds)) return stats;
+
+  const day = dayKey(date);
+  let next = prev ? bump(stats, prev.day, prev.adds, -1) : stats;
+  next = bump(withToday(next, date), day, adds);
+  return { ...next, counted: { ...counted, tallies: { ...counted.tallies, [key]: { day, adds } } } };
+}
+
+/** Count the game's latest hand record if it finished; a hand played again replaces its earlier tally */
+export function recordHand(stats, game, date = new Date()) {
+  const h = game.history.at(-1);
+  if (!h?.result) return stats;
+
+  const { result } = h;
+  const made = !result.euchred;
+  const played = new Set(h.tricks.flatMap((t) => t.cards.map((c) => c.player)));
+  const tricks = Array(game.numSeats).fill(0);
+  for (const t of h.tricks) tricks[t.winner]++;
+
+  const adds = tricks.map((won, seat) => {
+    if (!played.has(seat)) return null;
+    const add = { hands: 1, tricks: won };
+    if (seat === h.maker) {
+      const round = h.bids.find((b) => b.player === seat && (b.bid === "orderUp" || b.bid === "callSuit"))?.round;
+      add[round === 1 ? "calls1" : "calls2"] = 1;
+      add[made ? "made" : "euchred"] = 1;
+      if (made && result.makerTricks === 5) add.marches = 1;
+      if (h.alone) {
+        add.loners = 1;
+        if (made) add.lonersMade = 1;
+      }
+    }
+    return add;
+  });
+  return count(stats, game, `hand${h.number}`, adds, date);
+}
+
+/** Count a won game; `game` is the engine state. Won again after an undo, the new result replaces the old */
+export function recordGame(stats, game, date = new Date()) {
+  if (!isGameOver(game)) return stats;
+  const winners = teamSeats(game, winningTeam(game));
+  const adds = Array.from({ length: game.numSeats }, (_, seat) => ({ games: 1, wins: winners.includes(seat) ? 1 : 0 }));
+  return count(stats, game, "game", adds, date);
+}
+
+/** Per-seat totals over `days` (all of them by default) */
+export function statTotals(stats, days = stats.days) {
+  const totals = Array.from({ length: 4 }, emptySeatStats);
+  for (const d of days) {
+    d.seats.forEach((s, seat) => {
+      if (!s) return;
+      for (const k of Object.keys(totals[seat])) totals[seat][k] += s[k] ?? 0;
+    });
+  }
+  return totals;
+}
+
+/** What the Stats chart can plot per day: value(seat tallies) or null when there's nothing to show */
+export const CHART_METRICS = {
+  makePct: {
+    label: "Make %",
+    value: (s) => (s.made + s.euchred ? (100 * s.made) / (s.made + s.euchred) : null),
+  },
+  tricksPerHand: { label: "Tricks per hand", value: (s) => (s.hands ? s.tricks / s.hands : null) },
+  callsPerHand: { label: "Calls per 10 hands", value: (s) => (s.hands ? (10 * (s.calls1 + s.calls2)) / s.hands : null) },
+  winPct: { label: "Games won %", value: (s) => (s.games ? (100 * s.wins) / s.games : null) },
+};
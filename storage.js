@@ -0,0 +1,75 @@
+import { PHASES, isGameOver } from "./engine.js";
+import { randomSeed } from "./rng.js";
+import { DEFAULT_RULES, normalizeRules } from "./rules.js";
+
+/** ---------- Autosave (localStorage) ----------
+ * The engine state is saved whole after every action. Bump SAVE_VERSION
+ * whenever the shape of that state changes and add a step to MIGRATIONS;
+ * saves with no migration path are dropped instead of being loaded into
+ * code that no longer understands them.
+ **/
+const SAVE_KEY = "euchre-no-ads.save";
+export const SAVE_VERSION = 8;
+
+// MIGRATIONS[v] turns a version-v game into a version-(v+1) game
+const MIGRATIONS = {
+  1: (g) => ({ ...g, rules: { ...DEFAULT_RULES } }),
+  2: (g) => ({ ...g, defenderAlone: null }),
+  3: (g) => ({ ...g, numSeats: 4, rules: { ...g.rules, players: 4 } }),
+  4: (g) => ({ ...g, dealt: null, history: [] }),
+  5: (g) => ({ ...g, training: false }),
+  6: (g) => ({ ...g, deck: g.rules.deck ?? "standard" }),
+  7: (g) => ({ ...g, id: randomSeed() }),
+};
+
+export function saveGame(game) {
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify({ version: SAVE_VERSION, savedAt: Date.now(), game }));
+  } catch {
+    // storage full or disabled (private mode): autosave is best effort
+  }
+}
+
+/** The saved game, or null if there is none or it can't be used */
+export function loadGame() {
+  try {
+    const raw = localStorage.getItem(SAVE_KEY);
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    let { version, game } = data ?? {};
+    while (version < SAVE_VERSION && MIGRATIONS[version]) game = MIGRATIONS[version++](game);
+    if (version !== SAVE_VERSION) return null;
+    // rules gain new options over time; missing ones take their defaults
+    return looksLikeGame(game) ? { ...game, rules: normalizeRules(game.rules) } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearSave() {
+  try {
+    localStorage.removeItem(SAVE_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+/** Worth offering "Resume game?" for: something has happened and nobody has won */
+export function isResumable(game) {
+  if (!game || isGameOver(game)) return false;
+  return game.phase !== "idle" || game.score.some((n) => n > 0);
+}
+
+function looksLikeGame(g) {
+  return (
+    !!g &&
+    PHASES.includes(g.phase) &&
+    Array.isArray(g.hands) &&
+    (g.numSeats === 3 || g.numSeats === 4) &&
+    g.hands.length === g.numSeats &&
+    Array.isArray(g.score) &&
+    Array.isArray(g.trick) &&
+    Array.isArray(g.log) &&
+    !!g.rules
+  );
+}
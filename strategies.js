@@ -0,0 +1,37 @@
+import { heuristicStrategy, botProfile, botLabel, BOT_LEVELS, DEFAULT_BOT } from "./bots.js";
+import { expertStrategy } from "./expert.js";
+
+/** ---------- Who plays each bot seat ----------
+ * A seat's settings ({ level, personality }, or { strategy: name }) become a
+ * strategy object (see strategy.js for the contract). Your own strategies
+ * can be added with registerStrategy(), e.g. from main.jsx, and then picked
+ * per seat in Settings or pitted against the built-ins with `npm run sim`.
+ **/
+const registered = new Map();
+
+export function registerStrategy(name, strategy) {
+  registered.set(name, { ...strategy, name });
+}
+
+export function registeredStrategies() {
+  return [...registered.keys()];
+}
+
+/** The built-in heuristics at Normal: used when another strategy makes an illegal move */
+export const fallbackStrategy = heuristicStrategy(botProfile(DEFAULT_BOT), "normal");
+
+export function strategyFor(seatBot = DEFAULT_BOT) {
+  if (seatBot.strategy && registered.has(seatBot.strategy)) return registered.get(seatBot.strategy);
+  const profile = botProfile(seatBot);
+  const name = botLabel(seatBot);
+  return profile.search ? expertStrategy({ ...profile.search, profile, name }) : heuristicStrategy(profile, name);
+}
+
+/** Settings label for a seat: a registered strategy's name, or level and personality */
+export function seatBotLabel(seatBot = DEFAULT_BOT) {
+  return seatBot.strategy && registered.has(seatBot.strategy) ? seatBot.strategy : botLabel(seatBot);
+}
+
+export function isBuiltInLevel(name) {
+  return Object.hasOwn(BOT_LEVELS, name);
+}
@@ -0,0 +1,130 @@
+import { applyAction, activeSeats, isAlly, isCutthroat, legalPlays, isJoker } from "./engine.js";
+import { buildCardMemory } from "./cardMemory.js";
+import { mulberry32, mixSeed } from "./rng.js";
+import { bidsFromLog } from "./history.js";
+import { tableView } from "./protocol.js";
+
+/** ---------- Bot strategy contract ----------
+ * A strategy is a plain object with five decisions. Each one is handed a
+ * `view` of the table from its own seat: only what that player could know
+ * at a real table (own hand, the upcard, the dealer, bids so far, cards
+ * played), never the other hands.
+ *
+ *   decideBid1(view)    -> true to order the upcard up
+ *   decideBid2(view)    -> a suit to call, or null to pass (not allowed when view.mustCall)
+ *   decideAlone(view)   -> true to play alone. Asked right after this seat makes trump
+ *                          (view.call = { suit, round }) and, under the defend-alone rule,
+ *                          when this seat may defend alone (view.phase === "defend_alone")
+ *   chooseDiscard(view) -> the card to throw away from view.hand plus view.upcard
+ *   choosePlay(view)    -> a card from view.legal
+ *
+ * `name` is optional and only used in warnings and the simulator's report.
+ * `explainBid(view)` is optional too: what the bid it is about to make weighed,
+ * { bid, alone } as explained in bots.js, for the "why?" rows in the hand log.
+ * Seats are given strategies in strategies.js; strategyAction() turns the
+ * answers into engine actions.
+ **/
+
+/** Every bot decision draws from the hand seed and how far the hand has got,
+ * so the same seed and the same human moves give the same bot choices.
+ */
+export function botRng(state) {
+  return mulberry32(mixSeed(state.seed, state.log.length));
+}
+
+/** The seat that has to act now, or null between hands */
+export function actingSeat(state) {
+  if (state.phase === "dealer_discard") return state.dealer;
+  if (state.phase === "idle" || state.phase === "hand_over") return null;
+  return state.turn;
+}
+
+/** What `seat` can see. `memory` and `game` are worked out on first use. */
+export function playerView(state, seat) {
+  const { phase, upcard, trump, trick } = state;
+  const active = activeSeats(state);
+  const at = active.indexOf(seat);
+  let memory = null;
+  let game = null;
+
+  return {
+    seat,
+    phase,
+    numSeats: state.numSeats,
+    dealer: state.dealer,
+    rules: state.rules,
+    score: state.score,
+    hand: state.hands[seat],
+    upcard,
+    forbiddenSuit: phase === "bid2" && !isJoker(upcard) ? upcard.s : null,
+    mustCall: phase === "bid2" && state.forcedDealerPick && seat === state.dealer,
+    canGoAlone: !isCutthroat(state),
+    call: null,
+    trump,
+    maker: state.maker,
+    alonePlayer: state.alonePlayer,
+    defenderAlone: state.defenderAlone,
+    active,
+    allies: active.filter((s) => s !== seat && isAlly(state, s, seat)),
+    opponents: active.filter((s) => !isAlly(state, s, seat)),
+    // seats after this one that still play to the current trick
+    yetToPlay: at < 0 ? [] : [...active.slice(at + 1), ...active.slice(0, at)].slice(0, active.length - trick.length - 1),
+    bids: bidsFromLog(state.log),
+    tricks: state.log.filter((e) => e.type === "trick").map(({ winner, cards }) => ({ winner, cards })),
+    trick,
+    legal: phase === "playing" ? legalPlays(state, seat) : [],
+    rng: botRng(state),
+    /** Cards seen and voids shown this hand (see cardMemory.js) */
+    get memory() {
+      return (memory ??= buildCardMemory(state, seat));
+    },
+    /** The engine state with the other hands face down (nulls), the dealer's discard,
+     * the seed and the deal record hidden, for strategies that want to search with applyAction */
+    get game() {
+      // the same filter an online player gets (the seed would give away every hand)
+      return (game ??= tableView(state, seat));
+    },
+  };
+}
+
+/** Ask `strategy` for the acting seat's move and turn it into an engine action.
+ * A move the engine would refuse falls back to `fallback` (with a warning).
+ */
+export function strategyAction(strategy, state, fallback = null) {
+  const seat = actingSeat(state);
+  if (seat === null) return null;
+  const action = askStrategy(strategy, state, seat);
+  if (action && applyAction(state, action).events.length) return action;
+
+  if (!fallback || fallback === strategy) throw new Error(`${strategy.name ?? "strategy"} made an illegal move (${state.phase})`);
+  console.warn(`${strategy.name ?? "strategy"} made an illegal move (${state.phase}); using ${fallback.name ?? "the fallback"}`);
+  return strategyAction(fallback, state);
+}
+
+function askStrategy(strategy, state, seat) {
+  const view = playerView(state, seat);
+  // (not a spread copy: that would work out the lazy view fields)
+  const alone = (suit, round) => {
+    view.call = { suit, round };
+    return view.canGoAlone && !!strategy.decideAlone(view);
+  };
+
+  switch (state.phase) {
+    case "bid1":
+      if (!strategy.decideBid1(view)) return { type: "pass", player: seat };
+      return { type: "orderUp", player: seat, alone: alone(state.upcard.s, 1) };
+    case "bid2": {
+      const suit = strategy.decideBid2(view);
+      if (!suit) return { type: "pass", player: seat };
+      return { type: "callSuit", player: seat, suit, alone: alone(suit, 2) };
+    }
+    case "defend_alone":
+      return strategy.decideAlone(view) ? { type: "defendAlone", player: seat } : { type: "pass", player: seat };
+    case "dealer_discard":
+      return { type: "discard", player: seat, card: strategy.chooseDiscard(view) };
+    case "playing":
+      return { type: "play", player: seat, card: strategy.choosePlay(view) };
+    default:
+      return null;
+  }
+}